@@ -4,6 +4,10 @@ import DB from './background/db.js';
 const db = new DB();
 const DEFAULT_FAVICON = 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 16 16%22><rect fill=%22%23e5e7eb%22 width=%2216%22 height=%2216%22 rx=%222%22/></svg>';
 
+// State
+let autoclosedTabs = [];
+const selectedTabIds = new Set();
+
 // Theme handling
 async function initTheme() {
   try {
@@ -287,6 +291,8 @@ function getFaviconUrl(url) {
 // Render tabs list
 function renderTabsList(tabs) {
   const tabsList = document.getElementById('tabs-list');
+  selectedTabIds.clear();
+  updateSelectionActions();
 
   if (tabs.length === 0) {
     tabsList.innerHTML = '<div class="empty-state">No autoclosed tabs yet</div>';
@@ -297,14 +303,17 @@ function renderTabsList(tabs) {
   const sortedTabs = [...tabs].sort((a, b) => b.closedAt - a.closedAt);
 
   tabsList.innerHTML = sortedTabs.map(tab => `
-    <div class="tab-item" data-url="${encodeURIComponent(tab.url)}">
+    <div class="tab-item ${tab.restoredAt ? 'restored' : ''}" data-id="${tab.id}" data-url="${encodeURIComponent(tab.url)}">
+      <input type="checkbox" class="tab-select" data-id="${tab.id}">
       <img class="tab-favicon" src="${tab.favIconUrl || getFaviconUrl(tab.url)}" alt="">
       <div class="tab-info">
         <span class="tab-title">${escapeHtml(tab.title || 'Untitled')}</span>
         <span class="tab-url">${escapeHtml(tab.url)}</span>
+        ${tab.closeReason ? `<span class="tab-close-context">${escapeHtml(describeCloseContext(tab))}</span>` : ''}
       </div>
+      ${tab.restoredAt ? `<span class="tab-restored-badge" title="Restored ${formatRelativeTime(tab.restoredAt)}">Restored</span>` : ''}
       <span class="tab-closed-time">${formatRelativeTime(tab.closedAt)}</span>
-      <button class="btn-open" data-url="${encodeURIComponent(tab.url)}">
+      <button class="btn-open" data-id="${tab.id}">
         <svg width="12" height="12" viewBox="0 0 16 16" fill="none">
           <path d="M6 3H3V13H13V10" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
           <path d="M9 2H14V7" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
@@ -322,12 +331,75 @@ function renderTabsList(tabs) {
 
   // Add click handlers
   tabsList.querySelectorAll('.btn-open').forEach(btn => {
-    btn.addEventListener('click', (e) => {
+    btn.addEventListener('click', async (e) => {
       e.stopPropagation();
-      const url = decodeURIComponent(btn.dataset.url);
-      chrome.tabs.create({ url });
+      // Opening a single row opens it even if it was restored before
+      await reopenTabs([parseInt(btn.dataset.id)], null, { includeRestored: true });
     });
   });
+
+  tabsList.querySelectorAll('.tab-select').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const id = parseInt(checkbox.dataset.id);
+      if (checkbox.checked) {
+        selectedTabIds.add(id);
+      } else {
+        selectedTabIds.delete(id);
+      }
+      updateSelectionActions();
+    });
+  });
+}
+
+// Describe why and from where a tab was closed, e.g. "Per-window threshold · Research › Docs"
+function describeCloseContext(tab) {
+  let reason;
+  switch (tab.closeReason) {
+    case 'global-limit': reason = 'Time limit'; break;
+    case 'per-window-threshold': reason = 'Per-window threshold'; break;
+    case 'filter-delete': reason = 'Smart Organizer'; break;
+    case 'duplicate-merge': reason = 'Duplicate merged'; break;
+    case 'duplicate-new': reason = 'Duplicate of an open tab'; break;
+    case 'tab-budget': reason = 'Tab budget'; break;
+    default: reason = 'Auto-closed';
+  }
+  if (tab.closeFilter) {
+    reason += ` (${tab.closeFilter})`;
+  }
+
+  const location = [tab.windowTitle, tab.groupTitle].filter(Boolean).join(' › ');
+  return location ? `${reason} · ${location}` : reason;
+}
+
+// Enable/disable the bulk reopen buttons based on the selection
+function updateSelectionActions() {
+  const hasSelection = selectedTabIds.size > 0;
+  document.getElementById('reopen-selected-btn').disabled = !hasSelection;
+  document.getElementById('reopen-window-btn').disabled = !hasSelection;
+
+  const selectAll = document.getElementById('select-all-checkbox');
+  const checkboxCount = document.querySelectorAll('#tabs-list .tab-select').length;
+  selectAll.checked = hasSelection && selectedTabIds.size === checkboxCount;
+}
+
+// Reopen autoclosed tabs via the background and refresh the list to show them as restored
+async function reopenTabs(ids, windowTitle = null, { includeRestored = false } = {}) {
+  if (ids.length === 0) return;
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'REOPEN_AUTOCLOSED_TABS', ids, windowTitle, includeRestored });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    autoclosedTabs = await db.getAutoclosedTabs();
+    renderTabsList(autoclosedTabs);
+    if (response.count === 0) {
+      alert('Nothing was reopened: the selected tabs were already restored.');
+    }
+  } catch (e) {
+    console.error('[TabSentry] Failed to reopen tabs:', e);
+    alert('Failed to reopen tabs. Please try again.');
+  }
 }
 
 // Escape HTML to prevent XSS
@@ -354,7 +426,8 @@ async function init() {
   });
 
   // Load data
-  const tabs = await db.getAutoclosedTabs();
+  autoclosedTabs = await db.getAutoclosedTabs();
+  const tabs = autoclosedTabs;
 
   // Update statistics
   const stats = calculateStats(tabs);
@@ -386,10 +459,51 @@ async function init() {
     drawBarChart(barChart, barData);
   });
 
+  // Reopen buttons
+  document.getElementById('select-all-checkbox').addEventListener('change', (e) => {
+    document.querySelectorAll('#tabs-list .tab-select').forEach(checkbox => {
+      checkbox.checked = e.target.checked;
+      const id = parseInt(checkbox.dataset.id);
+      if (e.target.checked) {
+        selectedTabIds.add(id);
+      } else {
+        selectedTabIds.delete(id);
+      }
+    });
+    updateSelectionActions();
+  });
+
+  document.getElementById('reopen-selected-btn').addEventListener('click', async () => {
+    await reopenTabs([...selectedTabIds]);
+  });
+
+  document.getElementById('reopen-window-btn').addEventListener('click', async () => {
+    const windowTitle = prompt('Reopen selected tabs into window named:');
+    if (!windowTitle || !windowTitle.trim()) return;
+    await reopenTabs([...selectedTabIds], windowTitle.trim());
+  });
+
+  document.getElementById('reopen-today-btn').addEventListener('click', async () => {
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+    const todayIds = autoclosedTabs
+      .filter(t => t.closedAt >= todayStart.getTime() && !t.restoredAt)
+      .map(t => t.id);
+
+    if (todayIds.length === 0) {
+      alert('No tabs closed today to reopen');
+      return;
+    }
+    if (confirm(`Reopen ${todayIds.length} tab${todayIds.length !== 1 ? 's' : ''} closed today?`)) {
+      await reopenTabs(todayIds);
+    }
+  });
+
   // Clear all button
   document.getElementById('clear-all-btn').addEventListener('click', async () => {
     if (confirm('Are you sure you want to clear all autoclosed tabs history?')) {
       await db.clearAutoclosedTabs();
+      autoclosedTabs = [];
       renderTabsList([]);
       updateStats({ total: 0, today: 0, week: 0 });
       updateLineChart();
@@ -0,0 +1,72 @@
+// Journal of the tab actions TabSentry takes on its own (moves, closes, group assignments,
+// duplicate merges and apply-filters batches), so each one can be undone from the popup.
+//
+// Entry: { id, type: 'move' | 'close' | 'group' | 'merge' | 'apply-filters', description, tabs,
+//          autoclosedIds, removedTabs, createdAt, revertedAt, expiresAt }
+// `tabs` holds each tab as it was before the action: { id, url, title, favIconUrl, windowId,
+// windowTitle, index, groupId, pinned }. Closes and merges also keep the IDs of the
+// autoclosedTabs rows they wrote, which is what gets reopened on undo. Moves keep the same-URL
+// tabs they closed in the target window. An apply-filters entry covers the whole batch, which
+// is undone through FilterEngine.undoApplyFilters, and only until its expiresAt.
+
+// Older entries are pruned
+const MAX_JOURNAL_ENTRIES = 500;
+
+// Describes a close for the journal, from the closeReason stored in autoclosedTabs
+export function describeCloseAction(closeReason, closeFilter = null) {
+    switch (closeReason) {
+        case 'global-limit':
+        case 'per-window-threshold':
+            return closeFilter ? `Auto-closed (${closeFilter} time limit)` : 'Auto-closed after time limit';
+        case 'tab-budget':
+            return 'Closed to stay under tab budget';
+        case 'filter-delete':
+            return closeFilter ? `Closed by filter ${closeFilter}` : 'Closed by filter';
+        case 'duplicate-new':
+            return 'Closed new duplicate tab';
+        case 'duplicate-merge':
+            return 'Closed duplicate tab';
+        default:
+            return 'Closed tab';
+    }
+}
+
+export class ActionJournal {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Captures what's needed to put a tab back where it was. Accepts live or stored tabs.
+    async snapshotTab(tab) {
+        const window = await this.db.getWindow(tab.windowId);
+        return {
+            id: tab.id,
+            url: tab.url,
+            title: tab.title || '',
+            favIconUrl: tab.favIconUrl || tab.faviconUrl || '',
+            windowId: tab.windowId,
+            windowTitle: window?.title || '',
+            index: tab.index,
+            groupId: tab.groupId ?? -1,
+            pinned: !!tab.pinned
+        };
+    }
+
+    // Records an action. `tabs` must reflect the state before the action ran.
+    async record(type, description, tabs, extra = {}) {
+        try {
+            const snapshots = await Promise.all(tabs.map(tab => this.snapshotTab(tab)));
+            const id = await this.db.addJournalEntry({ type, description, tabs: snapshots, ...extra });
+            await this.db.pruneJournal(MAX_JOURNAL_ENTRIES);
+            return id;
+        } catch (e) {
+            // A failed journal write shouldn't fail the action itself
+            console.error('[TabSentry] Failed to record action:', e);
+            return null;
+        }
+    }
+
+    async getEntries(limit = 50) {
+        return await this.db.getRecentJournalEntries(limit);
+    }
+}
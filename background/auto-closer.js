@@ -1,8 +1,15 @@
+import { FilterEngine } from './filter-engine.js';
+import { getClosedTabContext, setBadgeWarning, withTabBudgetSuspended } from './utils.js';
+import { getScheduleState } from './schedule.js';
+import { ActionJournal, describeCloseAction } from './action-journal.js';
+
 const AUTO_CLOSE_ALARM_NAME = 'auto-close-check';
 const NORMAL_INTERVAL_MINUTES = 30;
 const QUICK_INTERVAL_MINUTES = 10 / 60; // 10 seconds in minutes
 const NORMAL_TIME_INCREMENT_MS = 30 * 60 * 1000; // 30 minutes in milliseconds
 const QUICK_TIME_INCREMENT_MS = 60 * 60 * 1000; // 1 hour in milliseconds (for quick testing)
+const IDLE_DETECTION_SECONDS = 5 * 60; // User counts as idle after 5 minutes without input
+const PARKING_WINDOW_TITLE = 'Parking';
 
 // Module-level reference to the active AutoCloser instance for the alarm handler
 let activeAutoCloser = null;
@@ -14,9 +21,18 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     }
 });
 
+// Restart the elapsed-time window when the user comes back, so idle time is never counted
+chrome.idle.onStateChanged.addListener(async (state) => {
+    if (state === 'active' && activeAutoCloser) {
+        await activeAutoCloser.db.setSetting('lastAutoCloseCheckAt', Date.now());
+    }
+});
+
 export class AutoCloser {
     constructor(db) {
         this.db = db;
+        this.filterEngine = new FilterEngine(db);
+        this.journal = new ActionJournal(db);
         this.timeIncrementMs = NORMAL_TIME_INCREMENT_MS;
         this.isInitialized = false;
         // Set this instance as the active one for the alarm handler
@@ -24,6 +40,7 @@ export class AutoCloser {
     }
 
     async initialize() {
+        chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
 
         // Check if quick accumulate mode is enabled
         const quickAccumulate = await this.db.getSetting('quickAccumulate');
@@ -71,20 +88,47 @@ export class AutoCloser {
             await this.recreateAlarm();
         }
 
-        // Get all non-orphan tabs
-        const tabs = await this.db.getNonOrphanTabs();
+        // The weekly schedule can pause auto-close entirely (e.g. during a meeting block)
+        const schedule = await this.getCurrentSchedule();
+        if (!schedule.accumulate) {
+            console.log(`[TabSentry] Auto-close paused by schedule: ${schedule.reason}`);
+            // Restart the elapsed-time window so paused time is never counted
+            await this.db.setSetting('lastAutoCloseCheckAt', Date.now());
+            return;
+        }
+
+        // Get all non-orphan tabs, skipping the tab currently shown in each window
+        // (staleness is time since last activation, so a visible tab stays at 0)
+        const activeTabs = await chrome.tabs.query({ active: true });
+        const activeTabIds = new Set(activeTabs.map(t => t.id));
+        const tabs = (await this.db.getNonOrphanTabs()).filter(t => !activeTabIds.has(t.id));
 
         // Always accumulate time on tabs (regardless of autoCloseEnabled)
-        for (const tab of tabs) {
-            const newTimeAccumulated = (tab.timeAccumulated || 0) + this.timeIncrementMs;
-            await this.db.updateTab(tab.id, { timeAccumulated: newTimeAccumulated });
+        const incrementMs = await this.getActiveElapsedMs(quickAccumulate);
+        if (incrementMs > 0) {
+            for (const tab of tabs) {
+                const newTimeAccumulated = (tab.timeAccumulated || 0) + incrementMs;
+                await this.db.updateTab(tab.id, { timeAccumulated: newTimeAccumulated });
+            }
         }
 
-        const incrementDisplay = this.timeIncrementMs >= 60000
-            ? `${Math.round(this.timeIncrementMs / 60000)} minutes`
-            : `${Math.round(this.timeIncrementMs / 1000)} seconds`;
+        const incrementDisplay = incrementMs >= 60000
+            ? `${Math.round(incrementMs / 60000)} minutes`
+            : `${Math.round(incrementMs / 1000)} seconds`;
         console.log(`[TabSentry] Added ${incrementDisplay} to ${tabs.length} tabs`);
 
+        // Outside work hours time still accumulates, but nothing is suspended or closed
+        if (!schedule.close) {
+            console.log(`[TabSentry] Skipping suspend and close: ${schedule.reason}`);
+            return;
+        }
+
+        // Suspend (discard) stale tabs before any are closed
+        const autoSuspendEnabled = await this.db.getSetting('autoSuspendEnabled');
+        if (autoSuspendEnabled) {
+            await this.suspendStaleTabs();
+        }
+
         // Only close tabs if auto-close is enabled
         const autoCloseEnabled = await this.db.getSetting('autoCloseEnabled');
         if (!autoCloseEnabled) {
@@ -96,9 +140,41 @@ export class AutoCloser {
         await this.evaluateTabsForClosure();
     }
 
-    async evaluateTabsForClosure() {
+    async getCurrentSchedule() {
+        return getScheduleState(await this.db.getSetting('autoCloseSchedule'));
+    }
+
+    // Global time limit in hours, overridden by a schedule block when one is active
+    async getGlobalTimeLimit() {
+        const schedule = await this.getCurrentSchedule();
+        return schedule.timeLimit || await this.db.getSetting('autoCloseTimeLimit') || 24;
+    }
+
+    // Wall-clock time since the last check that the user was actually at the machine.
+    // Nothing is counted while idle or locked, and a late alarm after sleep is capped to
+    // one interval so a closed laptop doesn't age every tab at once.
+    async getActiveElapsedMs(quickAccumulate) {
+        const now = Date.now();
+        const lastCheckAt = await this.db.getSetting('lastAutoCloseCheckAt');
+        await this.db.setSetting('lastAutoCloseCheckAt', now);
+
+        // Quick accumulate is a testing mode, keep its fixed increment
+        if (quickAccumulate) return QUICK_TIME_INCREMENT_MS;
+
+        const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+        if (idleState !== 'active') {
+            console.log(`[TabSentry] User is ${idleState}, not accumulating time`);
+            return 0;
+        }
+
+        const elapsed = lastCheckAt ? now - lastCheckAt : NORMAL_TIME_INCREMENT_MS;
+        return Math.max(0, Math.min(elapsed, NORMAL_TIME_INCREMENT_MS));
+    }
+
+    // Pass dryRun to get the tabs that would be closed without closing them
+    async evaluateTabsForClosure(dryRun = false) {
         // Get settings
-        const autoCloseTimeLimit = await this.db.getSetting('autoCloseTimeLimit') || 24; // hours
+        const autoCloseTimeLimit = await this.getGlobalTimeLimit(); // hours
         const protectPinnedTabs = await this.db.getSetting('protectPinnedTabs') ?? true;
         const keepOpenThreshold = await this.db.getSetting('keepOpenThreshold') || 5;
         const thresholdScope = await this.db.getSetting('thresholdScope') || 'browser-wide';
@@ -106,24 +182,66 @@ export class AutoCloser {
         const timeLimitMs = autoCloseTimeLimit * 60 * 60 * 1000; // Convert hours to ms
 
         // Get fresh tab data after time update
-        const allTabs = await this.db.getNonOrphanTabs();
+        const allTabs = await this.getTabsWithProtection();
+
+        // Resolve each tab's time limit from per-filter policies, falling back to the global limit
+        const filters = await this.db.getAllFilters();
+        const tabContexts = await this.filterEngine.enrichTabs(allTabs, filters);
+        const timeLimits = new Map();
+        allTabs.forEach((tab, i) => {
+            const policy = this.filterEngine.resolveAutoClosePolicy(tabContexts[i], filters);
+            timeLimits.set(tab.id, this.getPolicyTimeLimit(policy, timeLimitMs));
+            // Remember which filter's policy applies so the closure can be attributed to it
+            tab.autoCloseFilter = policy?.filter.name || null;
+        });
 
         if (thresholdScope === 'browser-wide') {
-            await this.closeTabsBrowserWide(allTabs, timeLimitMs, protectPinnedTabs, keepOpenThreshold);
+            return await this.closeTabsBrowserWide(allTabs, timeLimits, protectPinnedTabs, keepOpenThreshold, dryRun);
         } else {
-            await this.closeTabsPerWindow(allTabs, timeLimitMs, protectPinnedTabs, keepOpenThreshold);
+            return await this.closeTabsPerWindow(allTabs, timeLimits, protectPinnedTabs, keepOpenThreshold, dryRun);
+        }
+    }
+
+    // Returns the time limit in ms for a tab, or Infinity if a filter says it never closes
+    getTabTimeLimit(tab, filters, defaultTimeLimitMs) {
+        const policy = this.filterEngine.resolveAutoClosePolicy(tab, filters);
+        return this.getPolicyTimeLimit(policy, defaultTimeLimitMs);
+    }
+
+    getPolicyTimeLimit(policy, defaultTimeLimitMs) {
+        if (!policy) return defaultTimeLimitMs;
+
+        if (policy.mode === 'never') return Infinity;
+        if (policy.mode === 'custom' && policy.timeLimit > 0) {
+            return policy.timeLimit * 60 * 60 * 1000;
         }
+        return defaultTimeLimitMs;
+    }
+
+    // Non-orphan tabs with autoCloseProtected set from the URL-keyed protected list
+    async getTabsWithProtection() {
+        const tabs = await this.db.getNonOrphanTabs();
+        const protectedUrls = new Set((await this.db.getAllProtectedUrls()).map(p => p.url));
+        return tabs.map(tab => ({ ...tab, autoCloseProtected: protectedUrls.has(tab.url) }));
     }
 
-    async closeTabsBrowserWide(allTabs, timeLimitMs, protectPinnedTabs, keepOpenThreshold) {
+    // Pinned (when protected), snoozed and user-protected tabs are never closed
+    isTabExempt(tab, protectPinnedTabs) {
+        if (protectPinnedTabs && tab.pinned) return true;
+        if (tab.autoCloseProtected) return true;
+        if (tab.snoozedUntil && tab.snoozedUntil > Date.now()) return true;
+        return false;
+    }
+
+    async closeTabsBrowserWide(allTabs, timeLimits, protectPinnedTabs, keepOpenThreshold, dryRun = false) {
         // Filter tabs that are candidates for closing
         const closeCandidates = allTabs.filter(tab => {
-            // Skip pinned tabs if protected
-            if (protectPinnedTabs && tab.pinned) {
+            // Skip pinned, snoozed and protected tabs
+            if (this.isTabExempt(tab, protectPinnedTabs)) {
                 return false;
             }
-            // Check if tab exceeds time limit
-            return (tab.timeAccumulated || 0) >= timeLimitMs;
+            // Check if tab exceeds its time limit
+            return (tab.timeAccumulated || 0) >= timeLimits.get(tab.id);
         });
 
         // Sort by timeAccumulated descending (oldest first)
@@ -135,17 +253,20 @@ export class AutoCloser {
         const maxToClose = Math.max(0, currentTabCount - tabsToKeep);
         const tabsToClose = closeCandidates.slice(0, maxToClose);
 
+        if (dryRun) return tabsToClose;
+
         // Close the tabs
         for (const tab of tabsToClose) {
-            await this.closeTab(tab);
+            await this.closeTab(tab, 'global-limit');
         }
 
         if (tabsToClose.length > 0) {
             console.log(`[TabSentry] Auto-closed ${tabsToClose.length} tabs (browser-wide)`);
         }
+        return tabsToClose;
     }
 
-    async closeTabsPerWindow(allTabs, timeLimitMs, protectPinnedTabs, keepOpenThreshold) {
+    async closeTabsPerWindow(allTabs, timeLimits, protectPinnedTabs, keepOpenThreshold, dryRun = false) {
         // Group tabs by window
         const tabsByWindow = new Map();
         for (const tab of allTabs) {
@@ -155,16 +276,16 @@ export class AutoCloser {
             tabsByWindow.get(tab.windowId).push(tab);
         }
 
-        let totalClosed = 0;
+        const allTabsToClose = [];
 
         // Process each window separately
         for (const [windowId, windowTabs] of tabsByWindow) {
             // Filter candidates for this window
             const closeCandidates = windowTabs.filter(tab => {
-                if (protectPinnedTabs && tab.pinned) {
+                if (this.isTabExempt(tab, protectPinnedTabs)) {
                     return false;
                 }
-                return (tab.timeAccumulated || 0) >= timeLimitMs;
+                return (tab.timeAccumulated || 0) >= timeLimits.get(tab.id);
             });
 
             // Sort by timeAccumulated descending
@@ -175,31 +296,482 @@ export class AutoCloser {
             const maxToClose = Math.max(0, currentWindowTabCount - keepOpenThreshold);
             const tabsToClose = closeCandidates.slice(0, maxToClose);
 
+            allTabsToClose.push(...tabsToClose);
+            if (dryRun) continue;
+
             // Close the tabs
             for (const tab of tabsToClose) {
-                await this.closeTab(tab);
+                await this.closeTab(tab, 'per-window-threshold');
+            }
+        }
+
+        if (!dryRun && allTabsToClose.length > 0) {
+            console.log(`[TabSentry] Auto-closed ${allTabsToClose.length} tabs (per-window)`);
+        }
+        return allTabsToClose;
+    }
+
+    // Discards tabs past the suspend time limit so they stop using memory but stay open.
+    // Tabs past the (longer) auto-close limit are closed separately by evaluateTabsForClosure.
+    async suspendStaleTabs() {
+        const autoSuspendTimeLimit = await this.db.getSetting('autoSuspendTimeLimit') || 4; // hours
+        const protectPinnedTabs = await this.db.getSetting('protectPinnedTabs') ?? true;
+        const suspendLimitMs = autoSuspendTimeLimit * 60 * 60 * 1000;
+
+        // Tabs protected from auto-close are left alone here too
+        const allTabs = await this.getTabsWithProtection();
+        const staleTabs = allTabs.filter(tab =>
+            (tab.timeAccumulated || 0) >= suspendLimitMs &&
+            !this.isTabExempt(tab, protectPinnedTabs)
+        );
+        if (staleTabs.length === 0) return [];
+
+        // Per-window and per-filter exemptions, including filters whose policy is to never auto-close
+        const windows = await this.db.getNonOrphanWindows();
+        const exemptWindowIds = new Set(windows.filter(w => w.suspendExempt).map(w => w.id));
+        const filters = await this.db.getAllFilters();
+        const exemptFilters = filters.filter(f => f.suspendExempt);
+
+        const tabContexts = await this.filterEngine.enrichTabs(staleTabs, filters);
+
+        const suspended = [];
+        for (const [i, tab] of staleTabs.entries()) {
+            if (exemptWindowIds.has(tab.windowId)) continue;
+            if (exemptFilters.some(filter => this.filterEngine.matchTab(tabContexts[i], filter))) continue;
+            if (this.filterEngine.resolveAutoClosePolicy(tabContexts[i], filters)?.mode === 'never') continue;
+
+            try {
+                // Skip tabs Chrome can't or shouldn't discard (active, already discarded, playing audio)
+                const chromeTab = await chrome.tabs.get(tab.id);
+                if (chromeTab.active || chromeTab.discarded || chromeTab.audible) continue;
+
+                await chrome.tabs.discard(tab.id);
+                suspended.push(tab);
+            } catch (e) {
+                console.log(`[TabSentry] Could not suspend tab ${tab.id}: ${e.message}`);
+            }
+        }
+
+        if (suspended.length > 0) {
+            console.log(`[TabSentry] Suspended ${suspended.length} tabs`);
+        }
+        return suspended;
+    }
+
+    // Loads the tab budget settings, or null when budgets are off
+    async getTabBudget() {
+        const tabBudgetEnabled = await this.db.getSetting('tabBudgetEnabled');
+        if (!tabBudgetEnabled) return null;
+
+        return {
+            max: await this.db.getSetting('tabBudgetMax') || 30,
+            scope: await this.db.getSetting('tabBudgetScope') || 'window-wide',
+            policy: await this.db.getSetting('tabBudgetPolicy') || 'warn'
+        };
+    }
+
+    // Tabs that count against the budget. The Parking window never counts, and when
+    // the policy is to suspend only loaded (non-discarded) tabs do.
+    async getBudgetedTabs(budget, windowId) {
+        const query = budget.scope === 'browser-wide' ? { windowType: 'normal' } : { windowId };
+        const tabs = await chrome.tabs.query(query);
+
+        const windows = await this.db.getNonOrphanWindows();
+        const parkingWindowIds = new Set(windows.filter(w => w.title === PARKING_WINDOW_TITLE).map(w => w.id));
+
+        return tabs.filter(tab =>
+            !parkingWindowIds.has(tab.windowId) &&
+            !(budget.policy === 'suspend' && tab.discarded)
+        );
+    }
+
+    // Applies the tab budget after a tab is created. The new tab itself is never the one
+    // removed; the stalest tabs in scope are closed, suspended or parked instead.
+    async enforceTabBudget(newTab) {
+        const budget = await this.getTabBudget();
+        if (!budget) {
+            setBadgeWarning(false);
+            return [];
+        }
+
+        const budgetedTabs = await this.getBudgetedTabs(budget, newTab.windowId);
+        const overflow = budgetedTabs.length - budget.max;
+        if (overflow <= 0 || budget.policy === 'warn' || !budgetedTabs.some(t => t.id === newTab.id)) {
+            await this.refreshTabBudgetWarning();
+            return [];
+        }
+
+        const budgetedIds = new Set(budgetedTabs.map(t => t.id));
+        const activeIds = new Set(budgetedTabs.filter(t => t.active || t.audible).map(t => t.id));
+
+        // Stalest first: most accumulated time, then least recently accessed
+        const candidates = (await this.getTabsWithProtection())
+            .filter(tab =>
+                budgetedIds.has(tab.id) &&
+                tab.id !== newTab.id &&
+                !activeIds.has(tab.id) &&
+                !this.isTabExempt(tab, true)
+            )
+            .sort((a, b) =>
+                (b.timeAccumulated || 0) - (a.timeAccumulated || 0) ||
+                (a.lastAccessed || 0) - (b.lastAccessed || 0)
+            )
+            .slice(0, overflow);
+
+        if (budget.policy === 'close') {
+            for (const tab of candidates) {
+                await this.closeTab(tab, 'tab-budget');
+            }
+        } else if (budget.policy === 'suspend') {
+            for (const tab of candidates) {
+                try {
+                    await chrome.tabs.discard(tab.id);
+                } catch (e) {
+                    console.log(`[TabSentry] Could not suspend tab ${tab.id}: ${e.message}`);
+                }
+            }
+        } else if (budget.policy === 'park' && candidates.length > 0) {
+            await this.parkTabs(candidates);
+        }
+
+        if (candidates.length > 0) {
+            console.log(`[TabSentry] Tab budget of ${budget.max} exceeded, applied '${budget.policy}' to ${candidates.length} tabs`);
+        }
+
+        await this.refreshTabBudgetWarning();
+        return candidates;
+    }
+
+    // Moves tabs to the end of the Parking window, creating it if needed
+    async parkTabs(tabs) {
+        const { windowId, defaultTabId } = await this.filterEngine.findOrCreateWindowByTitle(PARKING_WINDOW_TITLE);
+        try {
+            await chrome.tabs.move(tabs.map(t => t.id), { windowId, index: -1 });
+            await this.journal.record('move', `Parked ${tabs.length} ${tabs.length === 1 ? 'tab' : 'tabs'}`, tabs);
+        } catch (e) {
+            console.error('[TabSentry] Failed to park tabs:', e);
+        }
+
+        // Close the default new tab that Chrome created with the window
+        if (defaultTabId) {
+            try {
+                await chrome.tabs.remove(defaultTabId);
+            } catch {
+                // Tab may already be closed
+            }
+        }
+    }
+
+    // Shows the badge in red while any budgeted scope is over its maximum
+    async refreshTabBudgetWarning() {
+        const budget = await this.getTabBudget();
+        if (!budget) {
+            setBadgeWarning(false);
+            return;
+        }
+
+        let overBudget;
+        if (budget.scope === 'browser-wide') {
+            overBudget = (await this.getBudgetedTabs(budget)).length > budget.max;
+        } else {
+            const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+            overBudget = false;
+            for (const window of windows) {
+                if ((await this.getBudgetedTabs(budget, window.id)).length > budget.max) {
+                    overBudget = true;
+                    break;
+                }
             }
+        }
+        setBadgeWarning(overBudget);
+    }
+
+    // Dry run: tabs due on the next check (in closing order), followed by tabs
+    // approaching their limit sorted by time remaining
+    async getClosurePreview() {
+        const autoCloseEnabled = await this.db.getSetting('autoCloseEnabled');
+        if (!autoCloseEnabled) {
+            return { enabled: false, nextCheckAt: null, tabs: [] };
+        }
+
+        const autoCloseTimeLimit = await this.getGlobalTimeLimit(); // hours
+        const protectPinnedTabs = await this.db.getSetting('protectPinnedTabs') ?? true;
+        const timeLimitMs = autoCloseTimeLimit * 60 * 60 * 1000;
+        const schedule = await this.getCurrentSchedule();
+
+        const dueTabs = await this.evaluateTabsForClosure(true);
+        const dueIds = new Set(dueTabs.map(t => t.id));
+
+        const allTabs = await this.getTabsWithProtection();
+        const filters = await this.db.getAllFilters();
+
+        const tabContexts = new Map((await this.filterEngine.enrichTabs(allTabs, filters)).map(t => [t.id, t]));
+        const getTimeLimit = tab => this.getTabTimeLimit(tabContexts.get(tab.id) || tab, filters, timeLimitMs);
+
+        const upcomingTabs = [];
+        for (const tab of allTabs) {
+            if (dueIds.has(tab.id) || this.isTabExempt(tab, protectPinnedTabs)) continue;
+            const tabTimeLimit = getTimeLimit(tab);
+            if (tabTimeLimit === Infinity) continue;
+            upcomingTabs.push({ tab, timeLimitMs: tabTimeLimit });
+        }
+
+        const toPreview = (tab, tabTimeLimit) => ({
+            id: tab.id,
+            windowId: tab.windowId,
+            title: tab.title,
+            url: tab.url,
+            faviconUrl: tab.faviconUrl,
+            timeAccumulated: tab.timeAccumulated || 0,
+            timeLimitMs: tabTimeLimit,
+            timeRemainingMs: Math.max(0, tabTimeLimit - (tab.timeAccumulated || 0))
+        });
+
+        const upcoming = upcomingTabs
+            .map(({ tab, timeLimitMs: tabTimeLimit }) => toPreview(tab, tabTimeLimit))
+            .sort((a, b) => a.timeRemainingMs - b.timeRemainingMs);
+
+        const alarm = await chrome.alarms.get(AUTO_CLOSE_ALARM_NAME);
+
+        return {
+            enabled: true,
+            nextCheckAt: alarm?.scheduledTime || null,
+            // Set when the schedule is holding closures back right now
+            pausedReason: schedule.close ? null : schedule.reason,
+            tabs: [
+                ...dueTabs.map(tab => ({ ...toPreview(tab, getTimeLimit(tab)), due: true })),
+                ...upcoming.map(tab => ({ ...tab, due: false }))
+            ]
+        };
+    }
+
+    async snoozeTab(tabId, durationMs) {
+        const snoozedUntil = Date.now() + durationMs;
+        await this.db.updateTab(tabId, { snoozedUntil });
+        return snoozedUntil;
+    }
 
-            totalClosed += tabsToClose.length;
+    async setTabProtected(tabId, isProtected) {
+        const tab = await this.db.getTab(tabId);
+        if (!tab?.url) return;
+
+        if (isProtected) {
+            await this.db.addProtectedUrl(tab.url);
+        } else {
+            await this.db.removeProtectedUrl(tab.url);
         }
+    }
+
+    // Reopens autoclosed history entries. With a window title they all go into that
+    // window; otherwise each goes back into its original window and group when possible.
+    // Entries already reopened are skipped unless includeRestored asks to open them again.
+    async reopenAutoclosedTabs(ids, windowTitle = null, { includeRestored = false } = {}) {
+        // Skip entries already reopened another way, e.g. from the journal or an apply-filters undo
+        const entries = (await this.db.getAutoclosedTabsByIds(ids))
+            .filter(e => includeRestored || !e.restoredAt);
+        if (entries.length === 0) return 0;
+
+        const defaultTabIds = [];
+        // Hold off the tab budget while tabs reopen, so it doesn't make room by closing others
+        await withTabBudgetSuspended(async () => {
+            let targetWindowId;
+            if (windowTitle) {
+                const { windowId, defaultTabId } = await this.filterEngine.findOrCreateWindowByTitle(windowTitle);
+                targetWindowId = windowId;
+                if (defaultTabId) defaultTabIds.push(defaultTabId);
+            }
+
+            // Reopen in original order so indexes land where they were
+            const sortedEntries = [...entries].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+
+            for (const entry of sortedEntries) {
+                let windowId = targetWindowId;
+                if (!windowTitle) {
+                    const original = await this.findOriginalWindow(entry);
+                    windowId = original.windowId;
+                    if (original.defaultTabId) defaultTabIds.push(original.defaultTabId);
+                }
+
+                const createProperties = {
+                    url: entry.url,
+                    windowId,
+                    // Focus the tab when reopening a single entry
+                    active: entries.length === 1
+                };
+                if (!windowTitle) {
+                    if (entry.pinned) createProperties.pinned = true;
+                    if (windowId !== undefined && entry.index !== undefined) {
+                        createProperties.index = entry.index;
+                    }
+                }
+
+                const newTab = await chrome.tabs.create(createProperties);
+
+                if (!windowTitle && entry.groupTitle && !entry.pinned) {
+                    await this.restoreTabToGroup(newTab, entry.groupTitle, entry.groupColor);
+                }
+            }
+        });
 
-        if (totalClosed > 0) {
-            console.log(`[TabSentry] Auto-closed ${totalClosed} tabs (per-window)`);
+        // Close the default new tabs that Chrome created with any new windows
+        for (const defaultTabId of defaultTabIds) {
+            try {
+                await chrome.tabs.remove(defaultTabId);
+            } catch {
+                // Tab may already be closed
+            }
         }
+
+        await this.db.markAutoclosedTabsRestored(entries.map(e => e.id));
+        await this.db.markReopenedJournalEntriesReverted(entries.map(e => e.id));
+        console.log(`[TabSentry] Reopened ${entries.length} autoclosed tabs${windowTitle ? ` into window: ${windowTitle}` : ''}`);
+        return entries.length;
     }
 
-    async closeTab(tab) {
+    // Undoes a journaled action. Closes and merges reopen their autoclosed entries; moves and
+    // group assignments put each tab that's still open back in its old window, position and group.
+    // An apply-filters batch is undone as a whole, through the filter engine's undo.
+    async revertJournalEntry(entryId) {
+        const entry = await this.db.getJournalEntry(entryId);
+        if (!entry) throw new Error('Action not found');
+        if (entry.revertedAt) throw new Error('Action was already undone');
+
+        let reverted = 0;
+        // Moving a tab back can open a window for it, which mustn't trip the tab budget either
+        await withTabBudgetSuspended(async () => {
+            if (entry.type === 'apply-filters') {
+                ({ reverted } = await this.filterEngine.undoApplyFilters(entry.id));
+            } else if (entry.type === 'close' || entry.type === 'merge') {
+                reverted = await this.reopenAutoclosedTabs(entry.autoclosedIds || []);
+            } else {
+                // Restore from the last tab back so earlier indexes aren't shifted
+                for (const snapshot of [...entry.tabs].reverse()) {
+                    if (await this.revertTabPlacement(snapshot, entry.type === 'move')) {
+                        reverted++;
+                    }
+                }
+                // Bring back the same-URL tabs a move closed in its target window
+                if (reverted > 0) {
+                    for (const removedTab of entry.removedTabs || []) {
+                        await this.filterEngine.reopenTab(removedTab);
+                    }
+                }
+            }
+        });
+
+        if (reverted === 0) throw new Error('None of the tabs are still open');
+
+        await this.db.markJournalEntryReverted(entryId);
+        console.log(`[TabSentry] Undid action: ${entry.description}`);
+        return reverted;
+    }
+
+    // Puts a tab back where a journal snapshot says it was. Returns false if the tab is gone.
+    async revertTabPlacement(snapshot, restoreWindow) {
+        let tab;
+        try {
+            tab = await chrome.tabs.get(snapshot.id);
+        } catch {
+            return false;
+        }
+
         try {
-            // Save tab info to database before closing
-            await this.db.addAutoclosedTab({
+            if (restoreWindow && tab.windowId !== snapshot.windowId) {
+                const { windowId, defaultTabId } = await this.findOriginalWindow(snapshot);
+                if (windowId === undefined) {
+                    await chrome.windows.create({ tabId: tab.id });
+                } else {
+                    await chrome.tabs.move(tab.id, { windowId, index: snapshot.index ?? -1 });
+                }
+                if (defaultTabId) {
+                    try {
+                        await chrome.tabs.remove(defaultTabId);
+                    } catch {
+                        // Tab may already be closed
+                    }
+                }
+            }
+
+            if (snapshot.groupId === -1 || snapshot.groupId === undefined) {
+                if (tab.groupId !== undefined && tab.groupId !== -1) {
+                    await chrome.tabs.ungroup(tab.id);
+                }
+            } else if (tab.groupId !== snapshot.groupId) {
+                try {
+                    await chrome.tabs.group({ groupId: snapshot.groupId, tabIds: [tab.id] });
+                } catch {
+                    // Original group no longer exists or is in another window
+                    await chrome.tabs.ungroup(tab.id);
+                }
+            }
+            return true;
+        } catch (e) {
+            console.error('[TabSentry] Failed to revert tab:', e);
+            return false;
+        }
+    }
+
+    // Finds the window an autoclosed tab came from: the same window if it's still open,
+    // else a window with the same title (created if needed), else the current window
+    async findOriginalWindow(entry) {
+        if (entry.windowId !== undefined) {
+            try {
+                await chrome.windows.get(entry.windowId);
+                const dbWindow = await this.db.getWindow(entry.windowId);
+                if (!entry.windowTitle || dbWindow?.title === entry.windowTitle) {
+                    return { windowId: entry.windowId, defaultTabId: null };
+                }
+            } catch {
+                // Original window is gone
+            }
+        }
+
+        if (entry.windowTitle) {
+            return await this.filterEngine.findOrCreateWindowByTitle(entry.windowTitle);
+        }
+
+        return { windowId: undefined, defaultTabId: null };
+    }
+
+    // Adds a tab to the group with the given title in its window, recreating the group if needed
+    async restoreTabToGroup(tab, groupTitle, groupColor) {
+        try {
+            const existingGroups = await chrome.tabGroups.query({ windowId: tab.windowId, title: groupTitle });
+            if (existingGroups.length > 0) {
+                await chrome.tabs.group({ groupId: existingGroups[0].id, tabIds: [tab.id] });
+                return;
+            }
+
+            const groupId = await chrome.tabs.group({ tabIds: [tab.id], createProperties: { windowId: tab.windowId } });
+            const groupUpdate = { title: groupTitle };
+            if (groupColor) groupUpdate.color = groupColor;
+            await chrome.tabGroups.update(groupId, groupUpdate);
+        } catch (e) {
+            console.error('[TabSentry] Failed to restore tab group:', e);
+        }
+    }
+
+    // closeReason is 'global-limit' or 'per-window-threshold' depending on the threshold scope,
+    // or 'tab-budget' when closed to stay under the tab budget
+    async closeTab(tab, closeReason) {
+        try {
+            // Save tab info and where it lived to database before closing
+            const context = await getClosedTabContext(this.db, tab);
+            const autoclosedId = await this.db.addAutoclosedTab({
                 url: tab.url,
                 title: tab.title,
                 favIconUrl: tab.faviconUrl || tab.favIconUrl,
-                timeAccumulated: tab.timeAccumulated || 0
+                timeAccumulated: tab.timeAccumulated || 0,
+                ...context,
+                closeReason,
+                closeFilter: tab.autoCloseFilter || null
             });
 
             // Close the actual Chrome tab
             await chrome.tabs.remove(tab.id);
+            await this.journal.record('close', describeCloseAction(closeReason, tab.autoCloseFilter), [tab], {
+                autoclosedIds: [autoclosedId]
+            });
             console.log(`[TabSentry] Auto-closed tab: ${tab.title} (accumulated: ${Math.round(tab.timeAccumulated / 60000)} mins)`);
         } catch (e) {
             // Tab may already be closed
@@ -6,17 +6,19 @@ import { registerRuntimeListeners } from "./runtime.js";
 import { TimeTracker } from "./time-tracker.js";
 import { SessionManager } from "./session-manager.js";
 import { AutoCloser } from "./auto-closer.js";
+import { SessionTimeline } from "./session-timeline.js";
 
 const db = new DB();
 const timeTracker = new TimeTracker(db);
 const sessionManager = new SessionManager(db);
 const autoCloser = new AutoCloser(db);
+const sessionTimeline = new SessionTimeline(db);
 
 // Helper to get current session ID
 const getSessionId = () => sessionManager.getSessionId();
 
 // Register runtime listeners immediately (for message handling)
-registerRuntimeListeners(db, sessionManager);
+registerRuntimeListeners(db, sessionManager, autoCloser, sessionTimeline);
 
 // Listener for first normal window (handles deferred initialization)
 // This is needed when Chrome starts with profile picker - we defer init until a normal window opens
@@ -32,6 +34,9 @@ chrome.windows.onCreated.addListener(async (window) => {
         if (!autoCloser.isInitialized) {
             await autoCloser.initialize();
         }
+        if (!sessionTimeline.isInitialized) {
+            await sessionTimeline.initialize();
+        }
 
         console.log("[TabSentry] Deferred initialization complete.");
     }
@@ -48,7 +53,7 @@ chrome.windows.onCreated.addListener(async (window) => {
     console.log("[TabSentry] Initialization complete, registering listeners...");
 
     // Now register listeners - any new windows/tabs will be added to current session
-    registerTabListeners(db, timeTracker, getSessionId, sessionManager);
+    registerTabListeners(db, timeTracker, getSessionId, sessionManager, autoCloser);
     registerWindowListeners(db, timeTracker, getSessionId);
     registerTabGroupListeners(db, getSessionId);
 
@@ -56,6 +61,7 @@ chrome.windows.onCreated.addListener(async (window) => {
     if (sessionManager.isInitialized) {
         await timeTracker.initialize();
         await autoCloser.initialize();
+        await sessionTimeline.initialize();
     }
 
     console.log("[TabSentry] Listeners registered, ready.");
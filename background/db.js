@@ -153,6 +153,175 @@ export default class DB {
             savedWindows: "++id, name, tabs, tabGroups, savedAt"
         });
 
+        this.db.version(13).stores({
+            openTabs: "id, windowId, sessionId, isOrphan, title, url, faviconUrl, lastAccessed, timeAccumulated, index, groupId, pinned, snoozedUntil",
+            openWindows: "id, sessionId, isOrphan, title, urlSignature, createdAt, lastAccessed",
+            tabGroups: "id, windowId, sessionId, isOrphan, title, color, collapsed",
+            sessions: "++id, startedAt, active",
+            settings: "++id, title, value",
+            filters: "++id, name, property, operator, value, smartWindowAction, createdAt, updatedAt",
+            automovedTabs: "++id, tabId, url, title, favicon, targetWindow, movedAt",
+            anchorWindow: "++id, windowTitle, tabs, tabGroups, createdAt, updatedAt",
+            autoclosedTabs: "++id, url, title, favIconUrl, closedAt, timeAccumulated",
+            tabNicknames: "tabId, nickname, url",
+            nicknames: "url, nickname",
+            bookmarks: "url, bookmarkId, title, parentId, folderPath, dateAdded",
+            savedWindows: "++id, name, tabs, tabGroups, savedAt",
+            protectedUrls: "url, createdAt"
+        });
+
+        this.db.version(14).stores({
+            openTabs: "id, windowId, sessionId, isOrphan, title, url, faviconUrl, lastAccessed, timeAccumulated, index, groupId, pinned, snoozedUntil",
+            openWindows: "id, sessionId, isOrphan, title, urlSignature, createdAt, lastAccessed",
+            tabGroups: "id, windowId, sessionId, isOrphan, title, color, collapsed",
+            sessions: "++id, startedAt, active",
+            settings: "++id, title, value",
+            filters: "++id, name, property, operator, value, smartWindowAction, createdAt, updatedAt",
+            automovedTabs: "++id, tabId, url, title, favicon, targetWindow, movedAt",
+            anchorWindow: "++id, windowTitle, tabs, tabGroups, createdAt, updatedAt",
+            autoclosedTabs: "++id, url, title, favIconUrl, closedAt, timeAccumulated, restoredAt",
+            tabNicknames: "tabId, nickname, url",
+            nicknames: "url, nickname",
+            bookmarks: "url, bookmarkId, title, parentId, folderPath, dateAdded",
+            savedWindows: "++id, name, tabs, tabGroups, savedAt",
+            protectedUrls: "url, createdAt"
+        });
+
+        this.db.version(15).stores({
+            openTabs: "id, windowId, sessionId, isOrphan, title, url, faviconUrl, lastAccessed, timeAccumulated, index, groupId, pinned, snoozedUntil",
+            openWindows: "id, sessionId, isOrphan, title, urlSignature, createdAt, lastAccessed",
+            tabGroups: "id, windowId, sessionId, isOrphan, title, color, collapsed",
+            sessions: "++id, startedAt, active",
+            settings: "++id, title, value",
+            filters: "++id, name, property, operator, value, smartWindowAction, createdAt, updatedAt",
+            automovedTabs: "++id, tabId, url, title, favicon, targetWindow, movedAt",
+            anchorWindow: "++id, windowTitle, tabs, tabGroups, createdAt, updatedAt",
+            autoclosedTabs: "++id, url, title, favIconUrl, closedAt, timeAccumulated, restoredAt, closeReason",
+            tabNicknames: "tabId, nickname, url",
+            nicknames: "url, nickname",
+            bookmarks: "url, bookmarkId, title, parentId, folderPath, dateAdded",
+            savedWindows: "++id, name, tabs, tabGroups, savedAt",
+            protectedUrls: "url, createdAt"
+        });
+
+        this.db.version(16).stores({
+            openTabs: "id, windowId, sessionId, isOrphan, title, url, faviconUrl, lastAccessed, timeAccumulated, index, groupId, pinned, snoozedUntil",
+            openWindows: "id, sessionId, isOrphan, title, urlSignature, createdAt, lastAccessed",
+            tabGroups: "id, windowId, sessionId, isOrphan, title, color, collapsed",
+            sessions: "++id, startedAt, active",
+            settings: "++id, title, value",
+            filters: "++id, name, property, operator, value, smartWindowAction, createdAt, updatedAt",
+            automovedTabs: "++id, tabId, url, title, favicon, targetWindow, movedAt",
+            anchorWindow: "++id, windowTitle, tabs, tabGroups, createdAt, updatedAt",
+            autoclosedTabs: "++id, url, title, favIconUrl, closedAt, timeAccumulated, restoredAt, closeReason",
+            tabNicknames: "tabId, nickname, url",
+            nicknames: "url, nickname",
+            bookmarks: "url, bookmarkId, title, parentId, folderPath, dateAdded",
+            savedWindows: "++id, name, tabs, tabGroups, savedAt",
+            protectedUrls: "url, createdAt",
+            actionJournal: "++id, type, createdAt, revertedAt"
+        });
+
+        this.db.version(17).stores({
+            openTabs: "id, windowId, sessionId, isOrphan, title, url, faviconUrl, lastAccessed, timeAccumulated, index, groupId, pinned, snoozedUntil",
+            openWindows: "id, sessionId, isOrphan, title, urlSignature, createdAt, lastAccessed",
+            tabGroups: "id, windowId, sessionId, isOrphan, title, color, collapsed",
+            sessions: "++id, startedAt, active",
+            settings: "++id, title, value",
+            filters: "++id, name, property, operator, value, smartWindowAction, createdAt, updatedAt",
+            automovedTabs: "++id, tabId, url, title, favicon, targetWindow, movedAt",
+            anchorWindow: "++id, windowTitle, tabs, tabGroups, createdAt, updatedAt",
+            autoclosedTabs: "++id, url, title, favIconUrl, closedAt, timeAccumulated, restoredAt, closeReason",
+            tabNicknames: "tabId, nickname, url",
+            nicknames: "url, nickname",
+            bookmarks: "url, bookmarkId, title, parentId, folderPath, dateAdded",
+            savedWindows: "++id, name, tabs, tabGroups, savedAt",
+            protectedUrls: "url, createdAt",
+            actionJournal: "++id, type, createdAt, revertedAt",
+            filterStats: "[filterId+day], filterId, day"
+        });
+
+        this.db.version(18).stores({
+            openTabs: "id, windowId, sessionId, isOrphan, title, url, faviconUrl, lastAccessed, timeAccumulated, index, groupId, pinned, snoozedUntil",
+            openWindows: "id, sessionId, isOrphan, title, urlSignature, createdAt, lastAccessed",
+            tabGroups: "id, windowId, sessionId, isOrphan, title, color, collapsed",
+            sessions: "++id, startedAt, active",
+            settings: "++id, title, value",
+            filters: "++id, name, property, operator, value, smartWindowAction, createdAt, updatedAt",
+            automovedTabs: "++id, tabId, url, title, favicon, targetWindow, movedAt",
+            anchorWindow: "++id, windowTitle, tabs, tabGroups, createdAt, updatedAt",
+            autoclosedTabs: "++id, url, title, favIconUrl, closedAt, timeAccumulated, restoredAt, closeReason",
+            tabNicknames: "tabId, nickname, url",
+            nicknames: "url, nickname",
+            bookmarks: "url, bookmarkId, title, parentId, folderPath, dateAdded",
+            savedWindows: "++id, name, tabs, tabGroups, savedAt",
+            protectedUrls: "url, createdAt",
+            actionJournal: "++id, type, createdAt, revertedAt",
+            filterStats: "[filterId+day], filterId, day",
+            sessionSnapshots: "++id, takenAt, keyframe"
+        });
+
+        this.db.version(19).stores({
+            openTabs: "id, windowId, sessionId, isOrphan, title, url, faviconUrl, lastAccessed, timeAccumulated, index, groupId, pinned, snoozedUntil",
+            openWindows: "id, sessionId, isOrphan, title, urlSignature, createdAt, lastAccessed",
+            tabGroups: "id, windowId, sessionId, isOrphan, title, color, collapsed",
+            sessions: "++id, startedAt, active",
+            settings: "++id, title, value",
+            filters: "++id, name, property, operator, value, smartWindowAction, createdAt, updatedAt",
+            automovedTabs: "++id, tabId, url, title, favicon, targetWindow, movedAt",
+            anchorWindow: "++id, windowId, windowTitle, tabs, tabGroups, createdAt, updatedAt",
+            autoclosedTabs: "++id, url, title, favIconUrl, closedAt, timeAccumulated, restoredAt, closeReason",
+            tabNicknames: "tabId, nickname, url",
+            nicknames: "url, nickname",
+            bookmarks: "url, bookmarkId, title, parentId, folderPath, dateAdded",
+            savedWindows: "++id, name, tabs, tabGroups, savedAt",
+            protectedUrls: "url, createdAt",
+            actionJournal: "++id, type, createdAt, revertedAt",
+            filterStats: "[filterId+day], filterId, day",
+            sessionSnapshots: "++id, takenAt, keyframe"
+        }).upgrade(async tx => {
+            // Each anchor config now tracks its own open window; move the single
+            // activeAnchorWindowId setting onto the existing config
+            const setting = await tx.table("settings").where("title").equals("activeAnchorWindowId").first();
+            const windowId = setting?.value ? Number(setting.value) : null;
+            await tx.table("anchorWindow").toCollection().modify(anchor => {
+                if (anchor.windowId === undefined) {
+                    anchor.windowId = windowId;
+                }
+            });
+            if (setting) {
+                await tx.table("settings").delete(setting.id);
+            }
+        });
+
+        this.db.version(20).stores({
+            openTabs: "id, windowId, sessionId, isOrphan, title, url, faviconUrl, lastAccessed, timeAccumulated, index, groupId, pinned, snoozedUntil",
+            openWindows: "id, sessionId, isOrphan, title, urlSignature, createdAt, lastAccessed",
+            tabGroups: "id, windowId, sessionId, isOrphan, title, color, collapsed",
+            sessions: "++id, startedAt, active",
+            settings: "++id, title, value",
+            filters: "++id, name, property, operator, value, smartWindowAction, createdAt, updatedAt",
+            automovedTabs: "++id, tabId, url, title, favicon, targetWindow, movedAt",
+            anchorWindow: "++id, windowId, windowTitle, tabs, tabGroups, createdAt, updatedAt",
+            autoclosedTabs: "++id, url, title, favIconUrl, closedAt, timeAccumulated, restoredAt, closeReason",
+            tabNicknames: "tabId, nickname, url",
+            nicknames: "url, nickname",
+            bookmarks: "url, bookmarkId, title, parentId, folderPath, dateAdded",
+            savedWindows: "++id, name, tabs, tabGroups, savedAt",
+            protectedUrls: "url, createdAt",
+            actionJournal: "++id, type, createdAt, revertedAt",
+            filterStats: "[filterId+day], filterId, day",
+            sessionSnapshots: "++id, takenAt, keyframe"
+        }).upgrade(async tx => {
+            // Give every filter an explicit priority, keeping the current order: already
+            // prioritized filters first, then the rest (seeded or restored) in creation order
+            const filters = await tx.table("filters").toArray();
+            filters.sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity) || a.id - b.id);
+            for (const [priority, filter] of filters.entries()) {
+                await tx.table("filters").update(filter.id, { priority });
+            }
+        });
+
         this.db.open();
         return this;
     }
@@ -346,22 +515,42 @@ export default class DB {
     }
 
     // Filter methods
+    // Filters come back in priority order (lowest priority number first)
     async getAllFilters() {
-        return await this.db.filters.toArray();
+        const filters = await this.db.filters.toArray();
+        return filters.sort((a, b) =>
+            (a.priority ?? Infinity) - (b.priority ?? Infinity) || a.id - b.id
+        );
     }
 
     async getFilter(id) {
         return await this.db.filters.get(id);
     }
 
+    // One past the lowest-ranked filter, so new filters go to the bottom of the priority list
+    async getNextFilterPriority() {
+        const filters = await this.db.filters.toArray();
+        return filters.reduce((max, f) => Math.max(max, f.priority ?? -1), -1) + 1;
+    }
+
     async addFilter(data) {
         return await this.db.filters.add({
             ...data,
+            priority: await this.getNextFilterPriority(),
             createdAt: Date.now(),
             updatedAt: Date.now()
         });
     }
 
+    // Sets each filter's priority to its position in filterIds
+    async reorderFilters(filterIds) {
+        return await this.db.transaction("rw", this.db.filters, async () => {
+            for (const [priority, id] of filterIds.entries()) {
+                await this.db.filters.update(id, { priority });
+            }
+        });
+    }
+
     async updateFilter(id, data) {
         return await this.db.filters.update(id, {
             ...data,
@@ -369,7 +558,22 @@ export default class DB {
         });
     }
 
+    // Swaps a filter's contents for new data, keeping only its ID, priority and creation
+    // time, so no field of the old filter carries over the way it would with updateFilter
+    async replaceFilter(id, data) {
+        const existing = await this.db.filters.get(id);
+        if (!existing) throw new Error("Filter not found");
+        return await this.db.filters.put({
+            ...data,
+            id,
+            priority: existing.priority,
+            createdAt: existing.createdAt,
+            updatedAt: Date.now()
+        });
+    }
+
     async removeFilter(id) {
+        await this.db.filterStats.where("filterId").equals(id).delete();
         return await this.db.filters.delete(id);
     }
 
@@ -461,6 +665,7 @@ export default class DB {
         ];
 
         const now = Date.now();
+        let priority = await this.getNextFilterPriority();
         for (const filter of defaultFilters) {
             // Skip if filter with same name already exists
             if (existingNames.has(filter.name.toLowerCase())) {
@@ -468,6 +673,7 @@ export default class DB {
             }
             await this.db.filters.add({
                 ...filter,
+                priority: priority++,
                 createdAt: now,
                 updatedAt: now
             });
@@ -495,14 +701,18 @@ export default class DB {
     }
 
     // Anchor Window methods
-    async getAnchorWindow() {
-        // Returns the single anchor window config (or null if none)
-        return await this.db.anchorWindow.toCollection().first();
+    // Each anchor config is one window that is always brought back; windowId is the
+    // open window it is currently tied to, or null while that window is closed
+    async getAnchorWindows() {
+        return await this.db.anchorWindow.toArray();
+    }
+
+    async getAnchorWindowByWindowId(windowId) {
+        if (windowId === null || windowId === undefined) return null;
+        return await this.db.anchorWindow.where("windowId").equals(Number(windowId)).first() || null;
     }
 
-    async setAnchorWindow(data) {
-        // Clear any existing anchor config first, then save new one
-        await this.db.anchorWindow.clear();
+    async addAnchorWindow(data) {
         return await this.db.anchorWindow.add({
             ...data,
             createdAt: Date.now(),
@@ -510,18 +720,18 @@ export default class DB {
         });
     }
 
-    async updateAnchorWindow(data) {
-        const existing = await this.getAnchorWindow();
-        if (existing) {
-            return await this.db.anchorWindow.update(existing.id, {
-                ...data,
-                updatedAt: Date.now()
-            });
-        }
-        return null;
+    async updateAnchorWindow(id, data) {
+        return await this.db.anchorWindow.update(id, {
+            ...data,
+            updatedAt: Date.now()
+        });
     }
 
-    async clearAnchorWindow() {
+    async removeAnchorWindow(id) {
+        return await this.db.anchorWindow.delete(id);
+    }
+
+    async clearAnchorWindows() {
         return await this.db.anchorWindow.clear();
     }
 
@@ -541,10 +751,143 @@ export default class DB {
         return await this.db.autoclosedTabs.where("closedAt").aboveOrEqual(timestamp).toArray();
     }
 
+    async getAutoclosedTabsByIds(ids) {
+        const tabs = await this.db.autoclosedTabs.bulkGet(ids);
+        return tabs.filter(Boolean);
+    }
+
+    // Restored entries are kept (not deleted) so closure history and charts stay accurate
+    async markAutoclosedTabsRestored(ids) {
+        const restoredAt = Date.now();
+        return await this.db.autoclosedTabs.where("id").anyOf(ids).modify({ restoredAt });
+    }
+
     async clearAutoclosedTabs() {
         return await this.db.autoclosedTabs.clear();
     }
 
+    // Action journal methods
+    async addJournalEntry(data) {
+        return await this.db.actionJournal.add({
+            ...data,
+            createdAt: Date.now(),
+            revertedAt: null
+        });
+    }
+
+    async getJournalEntry(id) {
+        return await this.db.actionJournal.get(id);
+    }
+
+    async getRecentJournalEntries(limit) {
+        return await this.db.actionJournal.orderBy("createdAt").reverse().limit(limit).toArray();
+    }
+
+    async markJournalEntryReverted(id) {
+        return await this.db.actionJournal.update(id, { revertedAt: Date.now() });
+    }
+
+    // Ends an entry's undo window early, e.g. once its apply-filters batch is replaced
+    async markJournalEntryExpired(id) {
+        return await this.db.actionJournal.update(id, { expiresAt: Date.now() });
+    }
+
+    // Marks close and merge entries reverted once every tab they closed has been reopened,
+    // however it was reopened
+    async markReopenedJournalEntriesReverted(autoclosedIds) {
+        const reopenedIds = new Set(autoclosedIds);
+        const entries = await this.db.actionJournal
+            .filter(entry => !entry.revertedAt && (entry.autoclosedIds || []).some(id => reopenedIds.has(id)))
+            .toArray();
+        for (const entry of entries) {
+            const closedTabs = await this.getAutoclosedTabsByIds(entry.autoclosedIds);
+            if (closedTabs.every(tab => tab.restoredAt)) {
+                await this.markJournalEntryReverted(entry.id);
+            }
+        }
+    }
+
+    // Deletes all but the newest `keep` entries
+    async pruneJournal(keep) {
+        const oldIds = await this.db.actionJournal.orderBy("createdAt").reverse().offset(keep).primaryKeys();
+        if (oldIds.length > 0) {
+            await this.db.actionJournal.bulkDelete(oldIds);
+        }
+    }
+
+    // Filter stats methods. One row per filter per day: { filterId, day, matches, lastMatchedAt }
+    async addFilterMatches(filterIds, day) {
+        const now = Date.now();
+        await this.db.transaction("rw", this.db.filterStats, async () => {
+            for (const filterId of filterIds) {
+                const row = await this.db.filterStats.get([filterId, day]);
+                await this.db.filterStats.put({
+                    filterId,
+                    day,
+                    matches: (row?.matches || 0) + 1,
+                    lastMatchedAt: now
+                });
+            }
+        });
+    }
+
+    async getFilterStats() {
+        return await this.db.filterStats.toArray();
+    }
+
+    // Deletes rows for days before `day` (YYYY-MM-DD)
+    async pruneFilterStats(day) {
+        return await this.db.filterStats.where("day").below(day).delete();
+    }
+
+    // Session snapshot methods. Keyframe rows hold every window; the rows after one hold
+    // only the windows that changed (see session-timeline.js)
+    async addSessionSnapshot(data) {
+        return await this.db.sessionSnapshots.add({
+            ...data,
+            takenAt: Date.now()
+        });
+    }
+
+    async getSessionSnapshot(id) {
+        return await this.db.sessionSnapshots.get(id);
+    }
+
+    // Lightweight list for the timeline, oldest first. Walks the rows one at a time rather
+    // than loading every snapshot's windows and tabs at once.
+    async getSessionSnapshotSummaries() {
+        const summaries = [];
+        await this.db.sessionSnapshots.orderBy("takenAt").each(({ id, takenAt, windowCount, tabCount }) => {
+            summaries.push({ id, takenAt, windowCount, tabCount });
+        });
+        return summaries;
+    }
+
+    // The keyframe at or before a snapshot and every row from there up to it, in order
+    async getSessionSnapshotChain(id) {
+        const keyframe = await this.db.sessionSnapshots
+            .where("id").belowOrEqual(id)
+            .filter(snapshot => snapshot.keyframe === 1)
+            .last();
+        if (!keyframe) return [];
+        return await this.db.sessionSnapshots.where("id").between(keyframe.id, id, true, true).toArray();
+    }
+
+    async getLatestSessionSnapshot() {
+        return await this.db.sessionSnapshots.orderBy("id").last();
+    }
+
+    async getLastSessionKeyframeBefore(timestamp) {
+        return await this.db.sessionSnapshots
+            .where("keyframe").equals(1)
+            .filter(snapshot => snapshot.takenAt < timestamp)
+            .last();
+    }
+
+    async deleteSessionSnapshotsBefore(id) {
+        return await this.db.sessionSnapshots.where("id").below(id).delete();
+    }
+
     // Tab Nicknames methods
     async getTabNickname(tabId) {
         return await this.db.tabNicknames.get(tabId);
@@ -566,6 +909,23 @@ export default class DB {
         return await this.db.tabNicknames.toArray();
     }
 
+    // Protected URL methods (never auto-close, URL-based so it survives tab ID changes)
+    async getProtectedUrl(url) {
+        return await this.db.protectedUrls.get(url);
+    }
+
+    async addProtectedUrl(url) {
+        return await this.db.protectedUrls.put({ url, createdAt: Date.now() });
+    }
+
+    async removeProtectedUrl(url) {
+        return await this.db.protectedUrls.delete(url);
+    }
+
+    async getAllProtectedUrls() {
+        return await this.db.protectedUrls.toArray();
+    }
+
     // Nicknames methods (URL-based)
     async getNickname(url) {
         return await this.db.nicknames.get(url);
@@ -0,0 +1,541 @@
+/**
+ * Filter condition evaluation shared by the background FilterEngine and the popup.
+ *
+ * A filter's conditions form a boolean expression tree:
+ *   - a condition: { property, operator, values, negate }
+ *     property is one of FILTER_PROPERTIES. Text properties use equals, includes,
+ *     startsWith, endsWith, regex, matchPattern (Chrome match patterns) or domain
+ *     (host and its subdomains); boolean properties use equals; duration properties
+ *     (in hours) use greaterThan or lessThan
+ *   - a group:     { op: 'and' | 'or' | 'not', conditions: [...] }
+ * A 'not' group matches when none of its children match.
+ *
+ * `filter.conditions` is an array combined with AND (the exmaple-filters.json shape).
+ * Filters without `conditions` use their top-level property/operator/values as a
+ * single condition, so older filter rows keep working unchanged.
+ *
+ * Properties other than url and title read tab metadata (group, window, nickname...)
+ * that a plain chrome.tabs.Tab doesn't carry; tabs are run through buildTabContext first.
+ */
+
+export const GROUP_OPS = ['and', 'or', 'not'];
+
+export const FILTER_PROPERTIES = {
+    url: { label: 'URL', type: 'string' },
+    title: { label: 'Title', type: 'string' },
+    nickname: { label: 'Nickname', type: 'string' },
+    groupTitle: { label: 'Group title', type: 'string' },
+    groupColor: { label: 'Group colour', type: 'string' },
+    windowTitle: { label: 'Window title', type: 'string' },
+    pinned: { label: 'Pinned', type: 'boolean' },
+    audible: { label: 'Playing audio', type: 'boolean' },
+    muted: { label: 'Muted', type: 'boolean' },
+    discarded: { label: 'Suspended', type: 'boolean' },
+    bookmarked: { label: 'Bookmarked', type: 'boolean' },
+    autoclosed: { label: 'Previously auto-closed', type: 'boolean' },
+    lastAccessed: { label: 'Idle for (hours)', type: 'duration' },
+    timeAccumulated: { label: 'Time accumulated (hours)', type: 'duration' }
+};
+
+export const OPERATORS_BY_TYPE = {
+    string: ['equals', 'includes', 'startsWith', 'endsWith', 'regex', 'matchPattern', 'domain'],
+    boolean: ['equals'],
+    duration: ['greaterThan', 'lessThan']
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Returns the value type of a condition property
+ * @param {string} property - Condition property
+ * @returns {string|undefined} - 'string', 'boolean' or 'duration'
+ */
+export function getPropertyType(property) {
+    return FILTER_PROPERTIES[property]?.type;
+}
+
+/**
+ * Normalizes a URL for matching by removing protocol and trailing patterns
+ * @param {string} url - The URL to normalize
+ * @returns {string} - Normalized URL
+ */
+export function normalizeUrl(url) {
+    if (!url) return '';
+
+    return url
+        .replace(/^https?:\/\//, '')  // Remove http:// or https://
+        .replace(/\/\*$/, '')          // Remove trailing /*
+        .replace(/\/$/, '')            // Remove trailing /
+        .toLowerCase();
+}
+
+/**
+ * Checks whether a node is a group rather than a single condition
+ * @param {Object} node - Condition tree node
+ * @returns {boolean}
+ */
+export function isConditionGroup(node) {
+    return !!node && GROUP_OPS.includes(node.op) && Array.isArray(node.conditions);
+}
+
+/**
+ * Returns a condition's values as an array. Accepts `values`, or `value` as either
+ * a single value or an array (as in exported filter files).
+ * @param {Object} condition - Condition object
+ * @returns {Array<string>}
+ */
+export function getConditionValues(condition) {
+    if (Array.isArray(condition.values) && condition.values.length > 0) {
+        return condition.values;
+    }
+    if (Array.isArray(condition.value)) {
+        return condition.value;
+    }
+    // 0 and false are real values for boolean properties
+    const { value } = condition;
+    return value === undefined || value === null || value === '' ? [] : [value];
+}
+
+/**
+ * Returns the root group of a filter's condition tree
+ * @param {Object} filter - Filter object
+ * @returns {{op: string, conditions: Array}}
+ */
+export function getFilterConditionTree(filter) {
+    const conditions = filter.conditions;
+
+    if (Array.isArray(conditions) && conditions.length > 0) {
+        // A single group is stored as-is so the root can be OR/NOT
+        if (conditions.length === 1 && isConditionGroup(conditions[0])) {
+            return conditions[0];
+        }
+        return { op: 'and', conditions };
+    }
+
+    if (isConditionGroup(conditions)) {
+        return conditions;
+    }
+
+    // Legacy single-condition filter
+    return {
+        op: 'and',
+        conditions: [{
+            property: filter.property,
+            operator: filter.operator,
+            values: getConditionValues(filter)
+        }]
+    };
+}
+
+/**
+ * Converts a root group back into the stored `conditions` array
+ * @param {{op: string, conditions: Array}} tree - Root group
+ * @returns {Array}
+ */
+export function toStoredConditions(tree) {
+    return tree.op === 'and' ? tree.conditions : [tree];
+}
+
+/**
+ * Lists every condition in a tree, including negated ones
+ * @param {Object} node - Condition tree node
+ * @returns {Array<Object>}
+ */
+export function getAllConditions(node) {
+    if (isConditionGroup(node)) {
+        return node.conditions.flatMap(child => getAllConditions(child));
+    }
+    return [node];
+}
+
+/**
+ * Checks whether a filter reads any property beyond url and title, i.e. whether
+ * tabs need to go through buildTabContext before matching
+ * @param {Object} filter - Filter object
+ * @returns {boolean}
+ */
+export function filterUsesTabMetadata(filter) {
+    return getAllConditions(getFilterConditionTree(filter))
+        .some(condition => condition.property !== 'url' && condition.property !== 'title');
+}
+
+/**
+ * Loads the lookups buildTabContext needs. Shared by the service worker and the popup,
+ * which both have a TabSentryDB instance and the chrome.tabs API.
+ * @param {Object} db - TabSentryDB instance
+ * @returns {Promise<Object>}
+ */
+export async function loadTabContextLookups(db) {
+    const [windows, groups, nicknames, bookmarks, autoclosed, storedTabs, liveTabs] = await Promise.all([
+        db.getAllWindows(),
+        db.getNonOrphanTabGroups(),
+        db.getAllNicknames(),
+        db.getAllBookmarks(),
+        db.getAutoclosedTabs(),
+        db.getNonOrphanTabs(),
+        chrome.tabs.query({})
+    ]);
+
+    return {
+        windowTitles: new Map(windows.map(w => [w.id, w.title || ''])),
+        groups: new Map(groups.map(g => [g.id, { title: g.title || '', color: g.color || '' }])),
+        nicknames: new Map(nicknames.map(n => [n.url, n.nickname])),
+        bookmarkedUrls: new Set(bookmarks.map(b => b.url)),
+        autoclosedUrls: new Set(autoclosed.map(t => t.url)),
+        timeAccumulated: new Map(storedTabs.map(t => [t.id, t.timeAccumulated || 0])),
+        liveTabs: new Map(liveTabs.map(t => [t.id, t]))
+    };
+}
+
+/**
+ * Adds the metadata properties filters can match on to a tab. Values already on the
+ * tab win, so stored tab rows and live chrome tabs can both be passed in.
+ * @param {Object} tab - Tab object (live or stored)
+ * @param {Object} lookups - Result of loadTabContextLookups
+ * @returns {Object} - A copy of the tab with the extra properties
+ */
+export function buildTabContext(tab, lookups) {
+    const live = lookups.liveTabs?.get(tab.id) || {};
+    const groupId = tab.groupId ?? live.groupId;
+    const group = groupId !== undefined && groupId !== -1 ? lookups.groups?.get(groupId) : null;
+
+    return {
+        ...tab,
+        nickname: tab.nickname ?? lookups.nicknames?.get(tab.url) ?? '',
+        groupTitle: group?.title || '',
+        groupColor: group?.color || '',
+        windowTitle: tab.windowTitle ?? lookups.windowTitles?.get(tab.windowId) ?? '',
+        pinned: !!(tab.pinned ?? live.pinned),
+        audible: !!(tab.audible ?? live.audible),
+        muted: !!(tab.mutedInfo?.muted ?? live.mutedInfo?.muted),
+        discarded: !!(tab.discarded ?? live.discarded),
+        bookmarked: !!lookups.bookmarkedUrls?.has(tab.url),
+        autoclosed: !!lookups.autoclosedUrls?.has(tab.url),
+        lastAccessed: tab.lastAccessed ?? live.lastAccessed,
+        timeAccumulated: tab.timeAccumulated ?? lookups.timeAccumulated?.get(tab.id) ?? 0
+    };
+}
+
+/**
+ * Parses a boolean condition value; exported filters use 1/0
+ * @param {*} value - Condition value
+ * @returns {boolean}
+ */
+export function parseBooleanValue(value) {
+    return value === true || value === 1 || ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Lists the conditions in a tree that must match for the filter to match,
+ * i.e. those not negated and not inside a NOT group
+ * @param {Object} node - Condition tree node
+ * @returns {Array<Object>}
+ */
+export function getPositiveConditions(node) {
+    if (isConditionGroup(node)) {
+        if (node.op === 'not') return [];
+        return node.conditions.flatMap(child => getPositiveConditions(child));
+    }
+    return node.negate ? [] : [node];
+}
+
+// Operators that only make sense for URLs
+export const URL_ONLY_OPERATORS = ['domain', 'matchPattern'];
+
+// Compiled regexes and match patterns, keyed by source; null marks an invalid one
+const compiledPatterns = new Map();
+
+function getCompiled(key, compile) {
+    if (!compiledPatterns.has(key)) {
+        let compiled = null;
+        try {
+            compiled = compile();
+        } catch {
+            // Invalid pattern, cached as null
+        }
+        compiledPatterns.set(key, compiled);
+    }
+    return compiledPatterns.get(key);
+}
+
+/**
+ * Compiles a regex filter value (case-insensitive)
+ * @param {string} source - Regular expression source
+ * @returns {RegExp|null} - null if the expression is invalid
+ */
+export function compileRegex(source) {
+    return getCompiled(`regex:${source}`, () => new RegExp(source, 'i'));
+}
+
+/**
+ * Compiles a Chrome-style match pattern such as `*://*.google.com/*` or `<all_urls>`
+ * @param {string} pattern - Match pattern
+ * @returns {RegExp|null} - null if the pattern is invalid
+ */
+export function compileMatchPattern(pattern) {
+    return getCompiled(`pattern:${pattern}`, () => {
+        if (pattern === '<all_urls>') {
+            return /^(https?|file|ftp):\/\//i;
+        }
+
+        const match = /^(\*|https?|file|ftp):\/\/(\*|\*\.[^/*]+|[^/*]*)(\/.*)$/.exec(pattern);
+        if (!match) return null;
+
+        const [, scheme, host, path] = match;
+        const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+        const schemeSource = scheme === '*' ? 'https?' : escape(scheme);
+        let hostSource;
+        if (host === '*') {
+            hostSource = '[^/]*';
+        } else if (host.startsWith('*.')) {
+            // "*.google.com" matches google.com and any subdomain
+            hostSource = `([^/]*\\.)?${escape(host.slice(2))}`;
+        } else {
+            hostSource = escape(host);
+        }
+        // Optional port, then the path with * as a wildcard
+        const pathSource = path.split('*').map(escape).join('.*');
+
+        return new RegExp(`^${schemeSource}://${hostSource}(:\\d+)?${pathSource}$`, 'i');
+    });
+}
+
+/**
+ * Reduces a domain filter value to a bare host, e.g. "https://www.x.com/home" -> "x.com"
+ * @param {string} value - Domain value
+ * @returns {string}
+ */
+export function normalizeDomain(value) {
+    return String(value)
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/[/?#:].*$/, '')
+        .replace(/^\*\./, '')
+        .replace(/^www\./, '');
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Returns an error message if a condition value can't be used with its operator
+ * @param {Object} condition - Condition object
+ * @param {string} value - One of the condition's values
+ * @returns {string|null}
+ */
+export function validateConditionValue(condition, value) {
+    const type = getPropertyType(condition.property);
+    if (!type) {
+        return `Unknown property "${condition.property}"`;
+    }
+    if (!OPERATORS_BY_TYPE[type].includes(condition.operator)) {
+        return `"${FILTER_PROPERTIES[condition.property].label}" can't be used with this operator`;
+    }
+    if (type === 'duration' && !(Number(value) >= 0 && String(value).trim() !== '')) {
+        return `Invalid number of hours "${value}"`;
+    }
+    if (condition.operator === 'regex' && !compileRegex(value)) {
+        let reason = '';
+        try {
+            new RegExp(value, 'i');
+        } catch (e) {
+            // Drop the "Invalid regular expression: /.../:" prefix the engine adds
+            reason = `: ${e.message.split(': ').pop()}`;
+        }
+        return `Invalid regular expression "${value}"${reason}`;
+    }
+    if (condition.operator === 'matchPattern' && !compileMatchPattern(value)) {
+        return `Invalid match pattern "${value}". Use the form scheme://host/path, e.g. *://*.google.com/*`;
+    }
+    if (condition.operator === 'domain' && !normalizeDomain(value)) {
+        return `Invalid domain "${value}"`;
+    }
+    if (URL_ONLY_OPERATORS.includes(condition.operator) && condition.property !== 'url') {
+        return 'Domain and match pattern conditions only apply to URLs';
+    }
+    return null;
+}
+
+/**
+ * Returns an error message for the first incomplete or invalid part of a tree, or null
+ * @param {Object} node - Condition tree node
+ * @returns {string|null}
+ */
+export function validateConditionTree(node) {
+    if (isConditionGroup(node)) {
+        if (node.conditions.length === 0) return 'Groups need at least one condition';
+        for (const child of node.conditions) {
+            const error = validateConditionTree(child);
+            if (error) return error;
+        }
+        return null;
+    }
+    if (!node || typeof node !== 'object') return 'Invalid condition';
+
+    const values = getConditionValues(node);
+    if (values.length === 0) return 'Please enter at least one value for every condition';
+    for (const value of values) {
+        if (value === null || typeof value === 'object') {
+            return 'Condition values must be text, numbers or true/false';
+        }
+        const error = validateConditionValue(node, value);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * Reads the value a condition compares against from a tab
+ * @param {Object} tab - Tab object
+ * @param {string} property - Condition property
+ * @returns {string|boolean|number|undefined} - undefined for unsupported properties
+ *   or when the tab has no value (e.g. never accessed)
+ */
+function getTabValue(tab, property) {
+    if (property === 'url') {
+        return normalizeUrl(tab.url);
+    }
+
+    const type = getPropertyType(property);
+    if (type === 'string') {
+        return String(tab[property] || '').toLowerCase();
+    } else if (type === 'boolean') {
+        return !!tab[property];
+    } else if (property === 'lastAccessed') {
+        return tab.lastAccessed ? (Date.now() - tab.lastAccessed) / HOUR_MS : undefined;
+    } else if (type === 'duration') {
+        return (tab[property] || 0) / HOUR_MS;
+    }
+    return undefined;
+}
+
+/**
+ * Checks one value against a tab
+ * @param {Object} tab - Tab object
+ * @param {string} property - Condition property
+ * @param {string} operator - Condition operator
+ * @param {string|boolean|number} tabValue - Normalized tab value for the property
+ * @param {string} val - Filter value
+ * @returns {boolean}
+ */
+function matchValue(tab, property, operator, tabValue, val) {
+    const type = getPropertyType(property);
+    if (type === 'boolean') {
+        return operator === 'equals' && tabValue === parseBooleanValue(val);
+    } else if (type === 'duration') {
+        const hours = Number(val);
+        if (Number.isNaN(hours)) return false;
+        if (operator === 'greaterThan') return tabValue > hours;
+        if (operator === 'lessThan') return tabValue < hours;
+        return false;
+    }
+
+    const rawValue = String(val);
+
+    // Operators that work on the raw, un-normalized tab value
+    if (operator === 'regex') {
+        const regex = compileRegex(rawValue);
+        const raw = String(tab[property] || '');
+        return !!regex && regex.test(raw);
+    } else if (operator === 'matchPattern') {
+        const pattern = compileMatchPattern(rawValue);
+        return property === 'url' && !!pattern && pattern.test(tab.url || '');
+    } else if (operator === 'domain') {
+        if (property !== 'url') return false;
+        const domain = normalizeDomain(rawValue);
+        const host = getHostname(tab.url).replace(/^www\./, '');
+        return !!domain && (host === domain || host.endsWith(`.${domain}`));
+    }
+
+    const filterValue = property === 'url'
+        ? normalizeUrl(rawValue)
+        : rawValue.toLowerCase();
+
+    if (operator === 'equals') {
+        return tabValue === filterValue;
+    } else if (operator === 'includes') {
+        return tabValue.includes(filterValue);
+    } else if (operator === 'startsWith') {
+        return tabValue.startsWith(filterValue);
+    } else if (operator === 'endsWith') {
+        return tabValue.endsWith(filterValue);
+    }
+    return false;
+}
+
+/**
+ * Checks a single condition against a tab. A tab matches if any value matches
+ * (OR logic); `negate` inverts the result.
+ * @param {Object} tab - Tab object, run through buildTabContext for metadata properties
+ * @param {Object} condition - Condition object
+ * @returns {boolean}
+ */
+export function matchCondition(tab, condition) {
+    const { property, operator } = condition;
+    const valueList = getConditionValues(condition);
+    if (valueList.length === 0) return false;
+
+    const tabValue = getTabValue(tab, property);
+    if (tabValue === undefined) return false;
+
+    const matched = valueList.some(val => matchValue(tab, property, operator, tabValue, val));
+
+    return condition.negate ? !matched : matched;
+}
+
+/**
+ * Evaluates a condition tree node against a tab
+ * @param {Object} tab - Tab object
+ * @param {Object} node - Condition or group
+ * @returns {boolean}
+ */
+export function matchConditionTree(tab, node) {
+    if (!isConditionGroup(node)) {
+        return matchCondition(tab, node);
+    }
+
+    // Empty groups never match, so a half-built filter doesn't match every tab
+    if (node.conditions.length === 0) return false;
+
+    if (node.op === 'or') {
+        return node.conditions.some(child => matchConditionTree(tab, child));
+    } else if (node.op === 'not') {
+        return !node.conditions.some(child => matchConditionTree(tab, child));
+    }
+    return node.conditions.every(child => matchConditionTree(tab, child));
+}
+
+/**
+ * Checks if a tab matches a filter
+ * @param {Object} tab - Tab object
+ * @param {Object} filter - Filter object
+ * @returns {boolean}
+ */
+export function matchFilter(tab, filter) {
+    return matchConditionTree(tab, getFilterConditionTree(filter));
+}
+
+// Smart Window Organizer actions in the order they run: actions that record something
+// about the tab first, then in-place changes, then placement, and finally the actions
+// that unload the tab
+export const SMART_ACTIONS = ['nickname', 'bookmark', 'pin', 'mute', 'group', 'move', 'discard', 'delete'];
+
+/**
+ * Returns a filter's Smart Window Organizer actions. `smartWindowAction` is a list of
+ * actions, or a single action string ('none' for no action) on older filters.
+ * @param {Object} filter - Filter object
+ * @returns {Array<string>}
+ */
+export function getFilterActions(filter) {
+    const actions = Array.isArray(filter.smartWindowAction)
+        ? filter.smartWindowAction
+        : [filter.smartWindowAction];
+    return SMART_ACTIONS.filter(action => actions.includes(action));
+}
@@ -1,9 +1,89 @@
+import { getClosedTabContext, withTabBudgetSuspended } from './utils.js';
+import { ActionJournal, describeCloseAction } from './action-journal.js';
+import { FilterStats } from './filter-stats.js';
+import {
+    normalizeUrl,
+    matchFilter,
+    filterUsesTabMetadata,
+    loadTabContextLookups,
+    buildTabContext,
+    getFilterActions,
+    SMART_ACTIONS
+} from './filter-conditions.js';
+
+// Colours chrome.tabGroups accepts
+export const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+
+// Planned actions that cancel others: closing the tab makes changes to it pointless,
+// a moved tab leaves the window its group would be in, and pinned tabs can't be grouped
+const ACTION_CONFLICTS = {
+    delete: ['pin', 'mute', 'group', 'move', 'discard'],
+    move: ['group'],
+    pin: ['group']
+};
+
+export const DEFAULT_NICKNAME_TEMPLATE = '{title}';
+
+/**
+ * Fills in a nickname template. Supports {title}, {domain} and {filter}.
+ * @param {string} template - Nickname template
+ * @param {Object} tab - Tab object
+ * @param {Object} filter - Filter object
+ * @returns {string}
+ */
+export function applyNicknameTemplate(template, tab, filter) {
+    let domain = '';
+    try {
+        domain = new URL(tab.url).hostname.replace(/^www\./, '');
+    } catch {
+        // Not a parseable URL
+    }
+    return (template || DEFAULT_NICKNAME_TEMPLATE)
+        .replace(/\{title\}/g, tab.title || '')
+        .replace(/\{domain\}/g, domain)
+        .replace(/\{filter\}/g, filter.name || '')
+        .trim();
+}
+
+// Setting holding the last "apply filters now" batch, for undo
+const APPLY_FILTERS_UNDO_SETTING = 'applyFiltersUndo';
+// After this long the tabs have likely been rearranged, so the batch can't be undone
+const APPLY_FILTERS_UNDO_TTL_MS = 15 * 60 * 1000;
+
+// Whether a planned action would leave a tab (run through buildTabContext) unchanged
+function isActionApplied(tab, { action, filter }) {
+    const name = filter.name.toLowerCase();
+    switch (action) {
+        case 'move': return tab.windowTitle.toLowerCase() === name;
+        case 'group': return tab.pinned || tab.groupTitle.toLowerCase() === name;
+        case 'pin': return tab.pinned;
+        case 'mute': return tab.muted;
+        case 'discard': return tab.active || tab.discarded;
+        case 'bookmark': return tab.bookmarked;
+        case 'nickname': return !!tab.nickname;
+        default: return false;
+    }
+}
+
+async function notifyApplyProgress(done, total) {
+    try {
+        await chrome.runtime.sendMessage({ type: 'APPLY_FILTERS_PROGRESS', done, total });
+    } catch {
+        // No settings page open to show progress
+    }
+}
+
+// Query params that only carry campaign/click tracking and never change the page
+const TRACKING_PARAM_PATTERN = /^(utm_[a-z_]+|fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|igshid|_ga|_gl|ref_src)$/i;
+
 /**
  * FilterEngine - Handles filter matching logic for tabs
  */
 export class FilterEngine {
     constructor(db) {
         this.db = db;
+        this.journal = new ActionJournal(db);
+        this.stats = new FilterStats(db);
     }
 
     /**
@@ -12,53 +92,202 @@ export class FilterEngine {
      * @returns {string} - Normalized URL
      */
     normalizeUrl(url) {
-        if (!url) return '';
+        return normalizeUrl(url);
+    }
+
+    /**
+     * Builds the key used to decide whether two tabs are duplicates
+     * @param {string} url - The URL to key
+     * @param {Object} options - Equivalence options
+     * @param {boolean} [options.ignoreQuery] - Drop the whole query string
+     * @param {boolean} [options.ignoreFragment] - Drop the #fragment
+     * @param {boolean} [options.ignoreTrackingParams] - Drop utm_* and other tracking params
+     * @returns {string} - Duplicate key, empty for URLs that can't be duplicates
+     */
+    getDuplicateKey(url, options = {}) {
+        if (!url || !/^https?:\/\//i.test(url)) return '';
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return this.normalizeUrl(url);
+        }
+
+        // "/docs/" and "/docs" are the same page even when a query follows
+        if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+            parsed.pathname = parsed.pathname.slice(0, -1);
+        }
 
-        return url
-            .replace(/^https?:\/\//, '')  // Remove http:// or https://
-            .replace(/\/\*$/, '')          // Remove trailing /*
-            .replace(/\/$/, '')            // Remove trailing /
-            .toLowerCase();
+        if (options.ignoreFragment) {
+            parsed.hash = '';
+        }
+
+        if (options.ignoreQuery) {
+            parsed.search = '';
+        } else if (options.ignoreTrackingParams) {
+            for (const key of [...parsed.searchParams.keys()]) {
+                if (TRACKING_PARAM_PATTERN.test(key)) {
+                    parsed.searchParams.delete(key);
+                }
+            }
+        }
+
+        return this.normalizeUrl(parsed.toString());
     }
 
     /**
-     * Checks if a tab matches a filter condition
-     * @param {Object} tab - Tab object with title and url
-     * @param {Object} filter - Filter object
-     * @returns {boolean}
+     * Groups tabs that share a duplicate key
+     * @param {Array} tabs - Array of tab objects with id and url
+     * @param {Object} options - Equivalence options, see getDuplicateKey
+     * @returns {Array<{key: string, tabs: Array}>} - Only groups with more than one tab
      */
-    matchTab(tab, filter) {
-        const { property, operator, value, values } = filter;
+    findDuplicateGroups(tabs, options = {}) {
+        const groups = new Map();
+        for (const tab of tabs) {
+            const key = this.getDuplicateKey(tab.url, options);
+            if (!key) continue;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(tab);
+        }
 
-        // Support both single value (backwards compatibility) and array of values
-        const valueList = values && Array.isArray(values) && values.length > 0
-            ? values
-            : (value ? [value] : []);
+        return [...groups.entries()]
+            .filter(([, groupTabs]) => groupTabs.length > 1)
+            .map(([key, groupTabs]) => ({ key, tabs: groupTabs }));
+    }
 
-        if (valueList.length === 0) return false;
+    /**
+     * Loads the duplicate equivalence options from settings
+     * @returns {Promise<Object>}
+     */
+    async getDuplicateOptions() {
+        return {
+            ignoreQuery: await this.db.getSetting('duplicateIgnoreQuery') ?? false,
+            ignoreFragment: await this.db.getSetting('duplicateIgnoreFragment') ?? true,
+            ignoreTrackingParams: await this.db.getSetting('duplicateIgnoreTrackingParams') ?? true
+        };
+    }
 
-        let tabValue;
-        if (property === 'url') {
-            tabValue = this.normalizeUrl(tab.url);
-        } else if (property === 'title') {
-            tabValue = (tab.title || '').toLowerCase();
-        } else {
-            return false;
+    /**
+     * Finds duplicate tabs across all windows, most recently accessed first in each group
+     * @returns {Promise<Array<{key: string, tabs: Array}>>}
+     */
+    async getDuplicateTabGroups() {
+        const options = await this.getDuplicateOptions();
+        const chromeTabs = await chrome.tabs.query({});
+        const dbTabs = await this.db.getAllTabs();
+        const lastAccessedById = new Map(dbTabs.map(t => [t.id, t.lastAccessed || 0]));
+
+        const tabs = chromeTabs.map(tab => ({
+            id: tab.id,
+            windowId: tab.windowId,
+            title: tab.title || '',
+            url: tab.url || tab.pendingUrl || '',
+            faviconUrl: tab.favIconUrl || '',
+            pinned: tab.pinned || false,
+            active: tab.active || false,
+            discarded: tab.discarded || false,
+            lastAccessed: Math.max(lastAccessedById.get(tab.id) || 0, tab.lastAccessed || 0)
+        }));
+
+        const groups = this.findDuplicateGroups(tabs, options);
+        for (const group of groups) {
+            group.tabs.sort((a, b) => b.lastAccessed - a.lastAccessed);
         }
+        return groups;
+    }
 
-        // Check if any value in the list matches (OR logic)
-        return valueList.some(val => {
-            const filterValue = property === 'url'
-                ? this.normalizeUrl(val)
-                : val.toLowerCase();
+    /**
+     * Merges duplicate groups by keeping the most recently accessed copy and closing the rest
+     * @param {Array<number>|null} tabIds - Restrict the merge to groups containing these tabs, null for all
+     * @returns {Promise<{closed: number, journalEntryId: number|null}>} - Number of tabs closed,
+     *   and the journal entry recording them
+     */
+    async mergeDuplicates(tabIds = null) {
+        const groups = await this.getDuplicateTabGroups();
+        const restrictTo = tabIds ? new Set(tabIds) : null;
+        const closedTabs = [];
+        const autoclosedIds = [];
 
-            if (operator === 'equals') {
-                return tabValue === filterValue;
-            } else if (operator === 'includes') {
-                return tabValue.includes(filterValue);
+        for (const group of groups) {
+            const candidates = restrictTo
+                ? group.tabs.filter(t => restrictTo.has(t.id))
+                : group.tabs;
+            if (candidates.length < 2) continue;
+
+            // Keep a pinned copy if there is one, otherwise the most recently accessed
+            const keep = candidates.find(t => t.pinned) || candidates[0];
+            for (const tab of candidates) {
+                if (tab.id === keep.id || tab.pinned) continue;
+                // Journaled below as a single merge
+                const autoclosedId = await this.closeAndRecordTab(tab.id, 'duplicate-merge', null, { journal: false });
+                if (autoclosedId) {
+                    closedTabs.push(tab);
+                    autoclosedIds.push(autoclosedId);
+                }
             }
-            return false;
-        });
+        }
+
+        let journalEntryId = null;
+        if (closedTabs.length > 0) {
+            const description = `Merged ${closedTabs.length} duplicate ${closedTabs.length === 1 ? 'tab' : 'tabs'}`;
+            journalEntryId = await this.journal.record('merge', description, closedTabs, { autoclosedIds });
+        }
+
+        console.log('[TabSentry] Merged duplicates, closed', closedTabs.length, 'tabs');
+        return { closed: closedTabs.length, journalEntryId };
+    }
+
+    /**
+     * Closes a newly opened tab if another tab already has the same URL, focusing the existing one
+     * @param {Object} tab - The updated Chrome tab
+     * @returns {Promise<boolean>} - True if the tab was closed
+     */
+    async closeIfDuplicate(tab) {
+        const options = await this.getDuplicateOptions();
+        const key = this.getDuplicateKey(tab.url, options);
+        if (!key) return false;
+
+        const allTabs = await chrome.tabs.query({});
+        const existing = allTabs.find(t =>
+            t.id !== tab.id && this.getDuplicateKey(t.url || t.pendingUrl, options) === key
+        );
+        if (!existing) return false;
+
+        if (!await this.closeAndRecordTab(tab.id, 'duplicate-new')) return false;
+        try {
+            await chrome.tabs.update(existing.id, { active: true });
+            await chrome.windows.update(existing.windowId, { focused: true });
+        } catch {
+            // Existing tab may have closed in the meantime
+        }
+        console.log('[TabSentry] Closed new duplicate tab', tab.id, 'in favour of', existing.id);
+        return true;
+    }
+
+    /**
+     * Checks if a tab matches a filter's conditions
+     * @param {Object} tab - Tab object with title and url
+     * @param {Object} filter - Filter object
+     * @returns {boolean}
+     */
+    matchTab(tab, filter) {
+        return matchFilter(tab, filter);
+    }
+
+    /**
+     * Adds group, window, nickname and other metadata to tabs so filters using those
+     * properties can match. Skips the lookups when none of the filters need them.
+     * @param {Array} tabs - Live or stored tab objects
+     * @param {Array} filters - Filters that will be matched against the tabs
+     * @returns {Promise<Array>} - Tabs with metadata properties added
+     */
+    async enrichTabs(tabs, filters) {
+        if (tabs.length === 0 || !filters.some(filter => filterUsesTabMetadata(filter))) {
+            return tabs;
+        }
+        const lookups = await loadTabContextLookups(this.db);
+        return tabs.map(tab => buildTabContext(tab, lookups));
     }
 
     /**
@@ -68,7 +297,8 @@ export class FilterEngine {
      */
     async findMatchingFilters(tab) {
         const allFilters = await this.db.getAllFilters();
-        return allFilters.filter(filter => this.matchTab(tab, filter));
+        const [tabContext] = await this.enrichTabs([tab], allFilters);
+        return allFilters.filter(filter => this.matchTab(tabContext, filter));
     }
 
     /**
@@ -82,25 +312,480 @@ export class FilterEngine {
     }
 
     /**
-     * Processes a tab update event for Smart Window Organizer
+     * Resolves the auto-close policy for a tab from the highest-priority matching
+     * filter that defines one, the same filter order that decides its actions
+     * @param {Object} tab - Tab object
+     * @param {Array} filters - All filters in priority order (pass in to avoid a DB read per tab)
+     * @returns {{mode: string, timeLimit?: number, filter: Object}|null} - null means use global settings
+     */
+    resolveAutoClosePolicy(tab, filters) {
+        const filter = filters.find(filter => {
+            const policy = filter.autoClosePolicy;
+            return policy?.mode && policy.mode !== 'default' && this.matchTab(tab, filter);
+        });
+
+        if (!filter) return null;
+        return { ...filter.autoClosePolicy, filter };
+    }
+
+    /**
+     * Plans the Smart Window Organizer actions for an updated tab, counting a match
+     * for each matching filter in the filter stats
      * @param {Object} tab - The updated tab
-     * @returns {Promise<{action: string, filter: Object|null}>}
+     * @returns {Promise<Array<{action: string, filter: Object}>>} - Actions to run, in order
      */
     async processTabUpdate(tab) {
-        const matchingFilters = await this.findMatchingFilters(tab);
+        const allFilters = await this.db.getAllFilters();
+        const [tabContext] = await this.enrichTabs([tab], allFilters);
+        const matchingFilters = allFilters.filter(filter => this.matchTab(tabContext, filter));
+        await this.stats.recordMatches(tab, matchingFilters);
+        return this.planActions(matchingFilters);
+    }
+
+    /**
+     * Picks each action from the highest-priority matching filter that lists it, drops
+     * conflicting actions (see ACTION_CONFLICTS) and orders the rest as in SMART_ACTIONS
+     * @param {Array} matchingFilters - Matching filters in priority order
+     * @returns {Array<{action: string, filter: Object}>}
+     */
+    planActions(matchingFilters) {
+        const planned = new Map();
+        for (const filter of matchingFilters) {
+            for (const action of getFilterActions(filter)) {
+                if (!planned.has(action)) planned.set(action, filter);
+            }
+        }
+
+        for (const [action, overridden] of Object.entries(ACTION_CONFLICTS)) {
+            if (planned.has(action)) {
+                overridden.forEach(other => planned.delete(other));
+            }
+        }
+
+        return SMART_ACTIONS
+            .filter(action => planned.has(action))
+            .map(action => ({ action, filter: planned.get(action) }));
+    }
+
+    /**
+     * Explains how filters resolve for a URL and title, for the settings "test a URL" box
+     * @param {{url: string, title: string}} tab - Tab to test
+     * @returns {Promise<{matches: Array, actions: Array, autoClosePolicy: Object|null}>}
+     */
+    async explainMatch(tab) {
+        const allFilters = await this.db.getAllFilters();
+        const [tabContext] = await this.enrichTabs([tab], allFilters);
+        const matchingFilters = allFilters.filter(filter => this.matchTab(tabContext, filter));
+        const policy = this.resolveAutoClosePolicy(tabContext, allFilters);
 
-        // Priority: delete > move > none
-        const deleteFilter = matchingFilters.find(f => f.smartWindowAction === 'delete');
-        if (deleteFilter) {
-            return { action: 'delete', filter: deleteFilter };
+        return {
+            matches: matchingFilters.map(filter => ({
+                id: filter.id,
+                name: filter.name,
+                actions: getFilterActions(filter)
+            })),
+            actions: this.planActions(matchingFilters).map(({ action, filter }) => ({
+                action,
+                filterId: filter.id,
+                filterName: filter.name
+            })),
+            autoClosePolicy: policy
+                ? { mode: policy.mode, timeLimit: policy.timeLimit, filterId: policy.filter.id, filterName: policy.filter.name }
+                : null
+        };
+    }
+
+    /**
+     * Plans what running every filter over every open tab would do, leaving out actions
+     * that wouldn't change anything (tab already in its window, already pinned...)
+     * @returns {Promise<Array<{tab: Object, steps: Array}>>}
+     */
+    async planApplyFilters() {
+        const [allFilters, tabs, lookups] = await Promise.all([
+            this.db.getAllFilters(),
+            chrome.tabs.query({}),
+            loadTabContextLookups(this.db)
+        ]);
+
+        const plan = [];
+        for (const tab of tabs) {
+            const tabContext = buildTabContext(tab, lookups);
+            const matchingFilters = allFilters.filter(filter => this.matchTab(tabContext, filter));
+            const steps = this.planActions(matchingFilters)
+                .filter(step => !isActionApplied(tabContext, step));
+            if (steps.length > 0) {
+                plan.push({ tab, steps });
+            }
         }
+        return plan;
+    }
 
-        const moveFilter = matchingFilters.find(f => f.smartWindowAction === 'move');
-        if (moveFilter) {
-            return { action: 'move', filter: moveFilter };
+    /**
+     * Summarizes planApplyFilters by action and filter, e.g. 12 tabs moving to "Programming"
+     * @returns {Promise<{total: number, changes: Array<{action: string, filterName: string, tabs: Array}>}>}
+     */
+    async previewApplyFilters() {
+        const plan = await this.planApplyFilters();
+
+        const changes = new Map();
+        for (const { tab, steps } of plan) {
+            for (const { action, filter } of steps) {
+                const key = `${action}:${filter.id}`;
+                if (!changes.has(key)) {
+                    changes.set(key, { action, filterName: filter.name, tabs: [] });
+                }
+                changes.get(key).tabs.push({ id: tab.id, title: tab.title, url: tab.url });
+            }
         }
 
-        return { action: 'none', filter: null };
+        return {
+            total: plan.length,
+            changes: [...changes.values()]
+                .sort((a, b) => SMART_ACTIONS.indexOf(a.action) - SMART_ACTIONS.indexOf(b.action))
+        };
+    }
+
+    /**
+     * Runs every filter over every open tab as one batch. Progress is sent as
+     * APPLY_FILTERS_PROGRESS messages, and the batch can be reverted with undoApplyFilters.
+     * @returns {Promise<{tabs: number, actions: number}>} - Tabs changed and actions run
+     */
+    async applyFiltersNow() {
+        const plan = await this.planApplyFilters();
+        const entries = [];
+        let actionCount = 0;
+
+        for (const [i, { tab, steps }] of plan.entries()) {
+            const done = [];
+            for (const step of steps) {
+                // Journaled below as a single entry for the whole batch
+                const result = await this.executeAction(tab.id, step, { journal: false });
+                if (result) done.push({ action: step.action, result });
+            }
+
+            if (done.length > 0) {
+                // Enough of the original tab to put it back
+                entries.push({
+                    tab: {
+                        id: tab.id,
+                        url: tab.url,
+                        title: tab.title,
+                        windowId: tab.windowId,
+                        index: tab.index,
+                        groupId: tab.groupId,
+                        pinned: tab.pinned
+                    },
+                    done
+                });
+                actionCount += done.length;
+            }
+            await notifyApplyProgress(i + 1, plan.length);
+        }
+
+        const appliedAt = Date.now();
+        const expiresAt = appliedAt + APPLY_FILTERS_UNDO_TTL_MS;
+        let journalEntryId = null;
+        if (entries.length > 0) {
+            const description = `Applied filters to ${entries.length} ${entries.length === 1 ? 'tab' : 'tabs'}`;
+            journalEntryId = await this.journal.record('apply-filters', description, entries.map(entry => entry.tab), { expiresAt });
+        }
+
+        // Only the latest batch can be undone, so the previous one's journal entry expires now
+        const previousBatch = await this.db.getSetting(APPLY_FILTERS_UNDO_SETTING);
+        if (previousBatch?.journalEntryId) {
+            await this.db.markJournalEntryExpired(previousBatch.journalEntryId);
+        }
+        await this.db.setSetting(APPLY_FILTERS_UNDO_SETTING, entries.length > 0
+            ? { appliedAt, expiresAt, journalEntryId, entries }
+            : null);
+        console.log(`[TabSentry] Applied filters to ${entries.length} tabs (${actionCount} actions)`);
+        return { tabs: entries.length, actions: actionCount };
+    }
+
+    /**
+     * Reverts the last applyFiltersNow batch, and marks its journal entry reverted
+     * @param {number|null} [journalEntryId] - When undoing from the journal, the entry being undone
+     * @returns {Promise<{reverted: number}>} - Number of tabs put back
+     */
+    async undoApplyFilters(journalEntryId = null) {
+        const batch = await this.db.getSetting(APPLY_FILTERS_UNDO_SETTING);
+        if (!batch || !(batch.expiresAt > Date.now())) {
+            if (batch) {
+                await this.db.setSetting(APPLY_FILTERS_UNDO_SETTING, null);
+            }
+            // Stop the journal from offering an undo that can't happen any more
+            const expiredEntryId = journalEntryId ?? batch?.journalEntryId;
+            if (expiredEntryId) {
+                await this.db.markJournalEntryExpired(expiredEntryId);
+            }
+            if (!batch && journalEntryId === null) return { reverted: 0 };
+            throw new Error('Undo has expired, tabs may have been rearranged since');
+        }
+        if (journalEntryId !== null && batch.journalEntryId !== journalEntryId) {
+            await this.db.markJournalEntryExpired(journalEntryId);
+            throw new Error('Only the most recent apply can be undone');
+        }
+
+        // Newest first, so moved tabs land back on their original indexes
+        let reverted = 0;
+        await withTabBudgetSuspended(async () => {
+            for (const entry of [...batch.entries].reverse()) {
+                if (await this.revertTabActions(entry)) reverted++;
+            }
+        });
+
+        await this.db.setSetting(APPLY_FILTERS_UNDO_SETTING, null);
+        if (batch.journalEntryId) {
+            await this.db.markJournalEntryReverted(batch.journalEntryId);
+        }
+        console.log(`[TabSentry] Undid apply filters for ${reverted} tabs`);
+        return { reverted };
+    }
+
+    /**
+     * Reverts the actions applyFiltersNow ran on one tab, last action first.
+     * Discards aren't reverted: the tab reloads when it's next focused. A moved tab is
+     * only moved back if it's still in the window it was moved to.
+     * @param {{tab: Object, done: Array<{action: string, result: *}>}} entry - Undo entry
+     * @returns {Promise<boolean>} - True if anything was reverted
+     */
+    async revertTabActions({ tab, done }) {
+        let tabId = tab.id;
+        let reverted = false;
+
+        for (const { action, result } of [...done].reverse()) {
+            try {
+                if (action === 'delete') {
+                    // Leave tabs that were already reopened from the closed tabs history
+                    const [closed] = await this.db.getAutoclosedTabsByIds([result]);
+                    if (closed?.restoredAt) continue;
+                    tabId = await this.reopenTab(tab);
+                    await this.db.markAutoclosedTabsRestored([result]);
+                } else if (action === 'move') {
+                    if ((await chrome.tabs.get(tabId)).windowId !== result.windowId) continue;
+                    await chrome.tabs.move(tabId, { windowId: tab.windowId, index: tab.index });
+                    await this.restoreTabGroup(tabId, tab.groupId);
+                    // Bring back the same-URL tabs the move closed in the target window
+                    for (const removedTab of result.removedTabs) {
+                        await this.reopenTab(removedTab);
+                    }
+                } else if (action === 'group') {
+                    await this.restoreTabGroup(tabId, tab.groupId);
+                } else if (action === 'pin') {
+                    await chrome.tabs.update(tabId, { pinned: false });
+                } else if (action === 'mute') {
+                    await chrome.tabs.update(tabId, { muted: false });
+                } else if (action === 'bookmark') {
+                    await chrome.bookmarks.remove(result);
+                    await this.db.removeBookmark(tab.url);
+                } else if (action === 'nickname') {
+                    await this.db.removeNickname(tab.url);
+                } else {
+                    continue;
+                }
+                reverted = true;
+            } catch (e) {
+                console.log(`[TabSentry] Could not undo ${action} for tab ${tabId}: ${e.message}`);
+            }
+        }
+        return reverted;
+    }
+
+    /**
+     * Reopens a closed tab where it was, or in the current window if its window is gone
+     * @param {Object} tab - Tab as recorded before it was closed
+     * @returns {Promise<number>} - The new tab's ID
+     */
+    async reopenTab(tab) {
+        let windowExists = true;
+        try {
+            await chrome.windows.get(tab.windowId);
+        } catch {
+            windowExists = false;
+        }
+
+        const created = await chrome.tabs.create({
+            url: tab.url,
+            active: false,
+            pinned: tab.pinned,
+            ...(windowExists ? { windowId: tab.windowId, index: tab.index } : {})
+        });
+        await this.restoreTabGroup(created.id, tab.groupId);
+        return created.id;
+    }
+
+    /**
+     * Puts a tab back in its original group, or takes it out of any group
+     * @param {number} tabId - The tab ID
+     * @param {number} groupId - Original group ID, -1 for none
+     */
+    async restoreTabGroup(tabId, groupId) {
+        if (groupId === undefined || groupId === -1) {
+            await chrome.tabs.ungroup(tabId);
+            return;
+        }
+        try {
+            await chrome.tabs.group({ groupId, tabIds: [tabId] });
+        } catch {
+            // The original group has been closed
+        }
+    }
+
+    /**
+     * Runs the actions planned by processTabUpdate, in order
+     * @param {number} tabId - The tab ID
+     * @param {Array<{action: string, filter: Object}>} steps - Planned actions
+     */
+    async executeActions(tabId, steps) {
+        for (const step of steps) {
+            await this.executeAction(tabId, step);
+        }
+    }
+
+    /**
+     * Runs a single planned action
+     * @param {number} tabId - The tab ID
+     * @param {{action: string, filter: Object}} step - Planned action
+     * @param {Object} [options]
+     * @param {boolean} [options.journal=true] - Record moves, groups and closes in the action journal
+     * @returns {Promise<boolean|string|number|Object|null>} - Falsy if nothing changed; the bookmark ID
+     * for bookmark actions, the autoclosed entry ID for deletes, and for moves the target window
+     * and the duplicate tabs closed there
+     */
+    async executeAction(tabId, { action, filter }, { journal = true } = {}) {
+        console.log(`[TabSentry] Running ${action} action for filter:`, filter.name);
+
+        if (action === 'nickname') {
+            return await this.executeNickname(tabId, filter);
+        } else if (action === 'bookmark') {
+            return await this.executeBookmark(tabId, filter);
+        } else if (action === 'pin') {
+            return await this.executeTabUpdate(tabId, 'pin', tab => !tab.pinned && { pinned: true });
+        } else if (action === 'mute') {
+            return await this.executeTabUpdate(tabId, 'mute', tab => !tab.mutedInfo?.muted && { muted: true });
+        } else if (action === 'group') {
+            return await this.executeGroup(tabId, filter, { journal });
+        } else if (action === 'move') {
+            return await this.executeMove(tabId, filter, { journal });
+        } else if (action === 'discard') {
+            return await this.executeDiscard(tabId);
+        } else if (action === 'delete') {
+            return await this.executeDelete(tabId, filter, { journal });
+        }
+        return false;
+    }
+
+    /**
+     * Applies a chrome.tabs.update if the tab still needs it
+     * @param {number} tabId - The tab ID
+     * @param {string} action - Action name, for logging
+     * @param {function(Object): Object|false} getChanges - Returns the update, or false if there's nothing to do
+     * @returns {Promise<boolean>} - True if the tab was updated
+     */
+    async executeTabUpdate(tabId, action, getChanges) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            const changes = getChanges(tab);
+            if (!changes) return false;
+            await chrome.tabs.update(tabId, changes);
+            return true;
+        } catch (e) {
+            console.error(`[TabSentry] Failed to ${action} tab:`, e);
+            return false;
+        }
+    }
+
+    /**
+     * Discards a tab so it stops using memory. The active tab can't be discarded.
+     * @param {number} tabId - The tab ID
+     * @returns {Promise<boolean>} - True if the tab was discarded
+     */
+    async executeDiscard(tabId) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            if (tab.active || tab.discarded) return false;
+            await chrome.tabs.discard(tabId);
+            return true;
+        } catch (e) {
+            console.error('[TabSentry] Failed to discard tab:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Bookmarks a tab into the filter's bookmark folder, unless it's already bookmarked there
+     * @param {number} tabId - The tab ID
+     * @param {Object} filter - The filter triggering the action
+     * @returns {Promise<string|null>} - The new bookmark's ID, or null if none was created
+     */
+    async executeBookmark(tabId, filter) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            if (!tab.url) return null;
+
+            const folderId = filter.bookmarkFolderId || null;
+            const existing = await chrome.bookmarks.search({ url: tab.url });
+            if (existing.some(bookmark => !folderId || bookmark.parentId === folderId)) {
+                return null;
+            }
+
+            const bookmark = await chrome.bookmarks.create({
+                ...(folderId ? { parentId: folderId } : {}),
+                title: tab.title || tab.url,
+                url: tab.url
+            });
+            await this.db.addBookmark({
+                url: bookmark.url,
+                bookmarkId: bookmark.id,
+                title: bookmark.title,
+                parentId: bookmark.parentId || '',
+                folderPath: await this.getBookmarkFolderPath(bookmark.parentId),
+                dateAdded: bookmark.dateAdded || Date.now()
+            });
+            console.log('[TabSentry] Bookmarked tab:', tab.url);
+            return bookmark.id;
+        } catch (e) {
+            console.error('[TabSentry] Failed to bookmark tab:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Builds a bookmark folder path like "Bookmarks bar/Work", as the popup's bookmark sync does
+     * @param {string} folderId - Bookmark folder ID
+     * @returns {Promise<string>}
+     */
+    async getBookmarkFolderPath(folderId) {
+        const titles = [];
+        let id = folderId;
+        while (id) {
+            const [node] = await chrome.bookmarks.get(id);
+            if (node.title) titles.unshift(node.title);
+            id = node.parentId;
+        }
+        return titles.join('/');
+    }
+
+    /**
+     * Gives a tab's URL a nickname from the filter's template, unless it already has one
+     * @param {number} tabId - The tab ID
+     * @param {Object} filter - The filter triggering the action
+     * @returns {Promise<boolean>} - True if a nickname was set
+     */
+    async executeNickname(tabId, filter) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+            if (!tab.url || await this.db.getNickname(tab.url)) return false;
+
+            const nickname = applyNicknameTemplate(filter.nicknameTemplate, tab, filter);
+            if (!nickname) return false;
+            await this.db.setNickname(tab.url, nickname);
+            console.log('[TabSentry] Set nickname:', nickname);
+            return true;
+        } catch (e) {
+            console.error('[TabSentry] Failed to set nickname:', e);
+            return false;
+        }
     }
 
     /**
@@ -149,11 +834,15 @@ export class FilterEngine {
     }
 
     /**
-     * Executes the move action for a tab
+     * Executes the move action for a tab, closing any tab with the same URL in the target window
      * @param {number} tabId - The tab ID to move
      * @param {Object} filter - The filter triggering the move
+     * @param {Object} [options]
+     * @param {boolean} [options.journal=true] - Record the move in the action journal
+     * @returns {Promise<{windowId: number, removedTabs: Array}|false>} - The target window and
+     * the closed duplicates as they were, for undo; false if the tab wasn't moved
      */
-    async executeMove(tabId, filter) {
+    async executeMove(tabId, filter, { journal = true } = {}) {
         try {
             // Get current tab to check if it's already in target window
             const tab = await chrome.tabs.get(tabId);
@@ -161,16 +850,25 @@ export class FilterEngine {
             const { windowId: targetWindowId, defaultTabId } = await this.findOrCreateWindowByTitle(filter.name);
 
             if (tab.windowId === targetWindowId) {
-                return; // Already in correct window
+                return false; // Already in correct window
             }
 
             // Check for existing tab with same URL in target window and remove it
             const targetWindowTabs = await chrome.tabs.query({ windowId: targetWindowId });
             const movingTabUrl = this.normalizeUrl(tab.url);
+            const removedTabs = [];
             for (const existingTab of targetWindowTabs) {
                 if (existingTab.id !== tabId && this.normalizeUrl(existingTab.url) === movingTabUrl) {
                     try {
                         await chrome.tabs.remove(existingTab.id);
+                        removedTabs.push({
+                            id: existingTab.id,
+                            url: existingTab.url,
+                            windowId: existingTab.windowId,
+                            index: existingTab.index,
+                            groupId: existingTab.groupId,
+                            pinned: existingTab.pinned
+                        });
                         console.log('[TabSentry] Removed duplicate tab in target window:', existingTab.id);
                     } catch {
                         // Tab may already be closed
@@ -181,6 +879,9 @@ export class FilterEngine {
             // Move tab to end of tabs list in target window
             await chrome.tabs.move(tabId, { windowId: targetWindowId, index: -1 });
             console.log('[TabSentry] Moved tab to window:', filter.name);
+            if (journal) {
+                await this.journal.record('move', `Moved to ${filter.name}`, [tab], { removedTabs });
+            }
 
             // Track automoved tab
             await this.trackAutomovedTab(tab, filter.name);
@@ -194,21 +895,129 @@ export class FilterEngine {
                     // Tab may already be closed or doesn't exist
                 }
             }
+            return { windowId: targetWindowId, removedTabs };
         } catch (e) {
             console.error('[TabSentry] Failed to move tab:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Finds a tab group with the given title in a window, using the tabGroups table
+     * @param {number} windowId - Window to look in
+     * @param {string} groupTitle - The group title (case-insensitive)
+     * @returns {Promise<number|null>} - The group ID, or null if there's no such group
+     */
+    async findTabGroupByTitle(windowId, groupTitle) {
+        const groups = await this.db.getTabGroupsByWindowId(windowId);
+        const candidates = groups.filter(g =>
+            g.isOrphan !== 1 && g.title && g.title.toLowerCase() === groupTitle.toLowerCase()
+        );
+
+        for (const group of candidates) {
+            // Verify the group still exists in Chrome
+            try {
+                await chrome.tabGroups.get(group.id);
+                return group.id;
+            } catch {
+                // Group was closed, keep looking
+            }
         }
+        return null;
     }
 
     /**
-     * Executes the delete action for a tab
+     * Executes the group action for a tab: adds it to the group named after the filter
+     * in the tab's current window, creating the group if it doesn't exist
+     * @param {number} tabId - The tab ID to group
+     * @param {Object} filter - The filter triggering the action
+     * @param {Object} [options]
+     * @param {boolean} [options.journal=true] - Record the group assignment in the action journal
+     * @returns {Promise<boolean>} - True if the tab was grouped
+     */
+    async executeGroup(tabId, filter, { journal = true } = {}) {
+        try {
+            const tab = await chrome.tabs.get(tabId);
+
+            // Grouping a pinned tab would unpin it
+            if (tab.pinned) return false;
+
+            const groupId = await this.findTabGroupByTitle(tab.windowId, filter.name);
+            if (groupId !== null && tab.groupId === groupId) {
+                return false; // Already in the group
+            }
+
+            if (groupId !== null) {
+                await chrome.tabs.group({ groupId, tabIds: [tabId] });
+                console.log('[TabSentry] Added tab to group:', filter.name);
+            } else {
+                const color = TAB_GROUP_COLORS.includes(filter.groupColor) ? filter.groupColor : 'grey';
+                const newGroupId = await chrome.tabs.group({ tabIds: [tabId], createProperties: { windowId: tab.windowId } });
+                await chrome.tabGroups.update(newGroupId, { title: filter.name, color });
+                console.log('[TabSentry] Created tab group:', filter.name);
+            }
+
+            if (journal) {
+                await this.journal.record('group', `Added to group ${filter.name}`, [tab]);
+            }
+            return true;
+        } catch (e) {
+            console.error('[TabSentry] Failed to group tab:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Executes the delete action for a tab, recording it in the autoclosed history
+     * @param {number} tabId - The tab ID to close
+     * @param {Object} [filter] - The filter triggering the delete
+     * @param {Object} [options]
+     * @param {boolean} [options.journal=true] - Record the close in the action journal
+     * @returns {Promise<number|null>} - ID of the autoclosed entry, or null if the tab wasn't closed
+     */
+    async executeDelete(tabId, filter = null, { journal = true } = {}) {
+        const autoclosedId = await this.closeAndRecordTab(tabId, 'filter-delete', filter?.name || null, { journal });
+        if (autoclosedId) {
+            console.log('[TabSentry] Auto-closed tab:', tabId);
+        }
+        return autoclosedId;
+    }
+
+    /**
+     * Closes a tab, recording it in the autoclosed history
      * @param {number} tabId - The tab ID to close
+     * @param {string} closeReason - Why the tab was closed
+     * @param {string|null} [closeFilter] - Name of the filter that fired, if any
+     * @param {Object} [options]
+     * @param {boolean} [options.journal=true] - Record the close in the action journal
+     * @returns {Promise<number|null>} - ID of the autoclosed entry, or null if the tab wasn't closed
      */
-    async executeDelete(tabId) {
+    async closeAndRecordTab(tabId, closeReason, closeFilter = null, { journal = true } = {}) {
         try {
+            const tab = await chrome.tabs.get(tabId);
+            const dbTab = await this.db.getTab(tabId);
+            const context = await getClosedTabContext(this.db, tab);
+
+            const autoclosedId = await this.db.addAutoclosedTab({
+                url: tab.url,
+                title: tab.title,
+                favIconUrl: tab.favIconUrl,
+                timeAccumulated: dbTab?.timeAccumulated || 0,
+                ...context,
+                closeReason,
+                closeFilter
+            });
+
             await chrome.tabs.remove(tabId);
-            console.log('[TabSentry] Auto-closed tab:', tabId);
+            if (journal) {
+                await this.journal.record('close', describeCloseAction(closeReason, closeFilter), [tab], {
+                    autoclosedIds: [autoclosedId]
+                });
+            }
+            return autoclosedId;
         } catch (e) {
             console.error('[TabSentry] Failed to close tab:', e);
+            return null;
         }
     }
 
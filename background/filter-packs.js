@@ -0,0 +1,208 @@
+/**
+ * Filter packs: standalone, versioned JSON files for sharing filters between machines.
+ *
+ * A pack uses the same shape as the filters section of a backup (see exmaple-filters.json):
+ *   [{ type: 'filters', version, exportedAt, data: [filter, ...] }]
+ * Each filter carries its name, condition tree and portable options. Conditions are
+ * written as { property, type, operator, value, negate }, where value is a single value
+ * or an array. Machine-specific fields (bookmark folder IDs, priority, timestamps) are
+ * left out; `_filterId` is the filter's ID on the exporting machine, for reference only.
+ *
+ * Files without a version (older backups, exmaple-filters.json) are read as version 1.
+ */
+
+import {
+    isConditionGroup,
+    getConditionValues,
+    getFilterConditionTree,
+    getPositiveConditions,
+    toStoredConditions,
+    validateConditionTree,
+    getPropertyType,
+    parseBooleanValue,
+    getFilterActions
+} from './filter-conditions.js';
+
+export const FILTER_PACK_VERSION = 1;
+
+const AUTO_CLOSE_MODES = ['default', 'never', 'custom'];
+
+/**
+ * Converts a stored condition tree node into its pack form
+ * @param {Object} node - Condition tree node
+ * @returns {Object}
+ */
+function exportConditionNode(node) {
+    if (isConditionGroup(node)) {
+        return { op: node.op, conditions: node.conditions.map(exportConditionNode) };
+    }
+
+    const values = getConditionValues(node);
+    const condition = {
+        property: node.property,
+        type: getPropertyType(node.property),
+        operator: node.operator,
+        value: values.length === 1 ? values[0] : values
+    };
+    if (node.negate) condition.negate = true;
+    return condition;
+}
+
+/**
+ * Builds a filter pack from stored filters
+ * @param {Array<Object>} filters - Filter rows, in the order they should be imported
+ * @returns {Array<Object>} - Pack ready for JSON.stringify
+ */
+export function createFilterPack(filters) {
+    return [{
+        type: 'filters',
+        version: FILTER_PACK_VERSION,
+        exportedAt: new Date().toISOString(),
+        data: filters.map(filter => {
+            const packFilter = {
+                name: filter.name,
+                conditions: toStoredConditions(getFilterConditionTree(filter)).map(exportConditionNode),
+                smartWindowAction: getFilterActions(filter),
+                _filterId: filter.id
+            };
+            if (filter.groupColor) packFilter.groupColor = filter.groupColor;
+            if (filter.nicknameTemplate) packFilter.nicknameTemplate = filter.nicknameTemplate;
+            if (filter.autoClosePolicy && filter.autoClosePolicy.mode !== 'default') {
+                packFilter.autoClosePolicy = filter.autoClosePolicy;
+            }
+            if (filter.suspendExempt) packFilter.suspendExempt = true;
+            return packFilter;
+        })
+    }];
+}
+
+/**
+ * Converts a pack condition tree node into the stored form. Boolean conditions are
+ * stored the way the filter editor writes them: value true, with "is false" as a negation.
+ * @param {Object} node - Condition tree node from a pack
+ * @returns {Object}
+ */
+function importConditionNode(node) {
+    if (isConditionGroup(node)) {
+        return { op: node.op, conditions: node.conditions.map(importConditionNode) };
+    }
+
+    let values = getConditionValues(node);
+    let negate = !!node.negate;
+    if (getPropertyType(node.property) === 'boolean' && values.length > 0) {
+        if (!parseBooleanValue(values[0])) negate = !negate;
+        values = [true];
+    } else {
+        values = values.map(value => String(value).trim()).filter(Boolean);
+    }
+
+    const condition = { property: node.property, operator: node.operator, values };
+    if (negate) condition.negate = true;
+    return condition;
+}
+
+/**
+ * Validates one pack filter and converts it into filter data for ADD_FILTER/UPDATE_FILTER
+ * @param {Object} packFilter - Filter from a pack
+ * @returns {Object} - Filter data
+ * @throws {Error} - If the filter is invalid
+ */
+function importPackFilter(packFilter) {
+    if (!packFilter || typeof packFilter !== 'object') {
+        throw new Error('Not a filter object');
+    }
+    if (typeof packFilter.name !== 'string' || !packFilter.name.trim()) {
+        throw new Error('Missing filter name');
+    }
+    if (!Array.isArray(packFilter.conditions) || packFilter.conditions.length === 0) {
+        throw new Error('Missing conditions');
+    }
+
+    const rawTree = packFilter.conditions.length === 1 && isConditionGroup(packFilter.conditions[0])
+        ? packFilter.conditions[0]
+        : { op: 'and', conditions: packFilter.conditions };
+    const conditionError = validateConditionTree(rawTree);
+    if (conditionError) throw new Error(conditionError);
+
+    const tree = importConditionNode(rawTree);
+    // Validate again now that blank values are gone
+    const storedError = validateConditionTree(tree);
+    if (storedError) throw new Error(storedError);
+
+    const autoClosePolicy = packFilter.autoClosePolicy || { mode: 'default' };
+    if (!AUTO_CLOSE_MODES.includes(autoClosePolicy.mode)) {
+        throw new Error(`Unknown auto-close policy "${autoClosePolicy.mode}"`);
+    }
+    if (autoClosePolicy.mode === 'custom' && !(Number(autoClosePolicy.timeLimit) > 0)) {
+        throw new Error('Auto-close time limit must be greater than 0');
+    }
+
+    // Keep the first required condition in the top-level fields for older readers
+    const primaryCondition = getPositiveConditions(tree)[0] || { property: 'url', operator: 'includes', values: [] };
+    const filterData = {
+        name: packFilter.name.trim(),
+        property: primaryCondition.property,
+        operator: primaryCondition.operator,
+        values: primaryCondition.values,
+        conditions: toStoredConditions(tree),
+        smartWindowAction: getFilterActions({ smartWindowAction: packFilter.smartWindowAction ?? [] }),
+        autoClosePolicy: autoClosePolicy.mode === 'custom'
+            ? { mode: 'custom', timeLimit: Number(autoClosePolicy.timeLimit) }
+            : { mode: autoClosePolicy.mode },
+        suspendExempt: !!packFilter.suspendExempt
+    };
+    if (typeof packFilter.groupColor === 'string') filterData.groupColor = packFilter.groupColor;
+    if (typeof packFilter.nicknameTemplate === 'string') filterData.nicknameTemplate = packFilter.nicknameTemplate;
+    return filterData;
+}
+
+/**
+ * Reads a filter pack. Accepts a pack, a single filters section, or a full backup
+ * containing a filters section.
+ * @param {Array|Object} pack - Parsed JSON
+ * @returns {Array<{name: string, filter: Object|null, error: string|null}>} - One entry per
+ *   filter in the pack; invalid filters have `filter` null and an error message
+ * @throws {Error} - If the file isn't a filter pack or uses a newer version
+ */
+export function readFilterPack(pack) {
+    const sections = Array.isArray(pack) ? pack : [pack];
+    const section = sections.find(item => item && item.type === 'filters');
+    if (!section || !Array.isArray(section.data)) {
+        throw new Error('No filters found in this file');
+    }
+
+    const version = section.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid filter pack version "${version}"`);
+    }
+    if (version > FILTER_PACK_VERSION) {
+        throw new Error(`This filter pack was made by a newer version of TabSentry (pack version ${version})`);
+    }
+
+    return section.data.map((packFilter, i) => {
+        const name = typeof packFilter?.name === 'string' && packFilter.name.trim()
+            ? packFilter.name.trim()
+            : `Filter ${i + 1}`;
+        try {
+            return { name, filter: importPackFilter(packFilter), error: null };
+        } catch (e) {
+            return { name, filter: null, error: e.message };
+        }
+    });
+}
+
+/**
+ * Returns a name that isn't taken, adding " (2)", " (3)"... as needed
+ * @param {string} name - Preferred name
+ * @param {Set<string>} takenNames - Lowercased names already in use
+ * @returns {string}
+ */
+export function getUniqueFilterName(name, takenNames) {
+    if (!takenNames.has(name.toLowerCase())) return name;
+
+    let suffix = 2;
+    while (takenNames.has(`${name} (${suffix})`.toLowerCase())) {
+        suffix++;
+    }
+    return `${name} (${suffix})`;
+}
@@ -0,0 +1,184 @@
+/**
+ * Per-filter activity statistics for the settings filter list.
+ *
+ * Matches are counted per day in the filterStats table as tabs settle on a new URL.
+ * Moves and closes aren't stored twice: they come from automovedTabs (targetWindow is
+ * the filter name) and autoclosedTabs (closeFilter is the filter name), so renaming
+ * a filter starts its move and close counts over.
+ */
+
+import {
+    getFilterConditionTree,
+    getPositiveConditions,
+    getConditionValues,
+    matchCondition
+} from './filter-conditions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days shown in the sparklines; filters without a match in this window are flagged
+export const FILTER_STATS_DAYS = 30;
+
+// Daily match counts are kept this long
+const FILTER_STATS_RETENTION_DAYS = 90;
+
+// How far back history is searched for values that never match
+const HISTORY_LOOKBACK_DAYS = 90;
+const HISTORY_MAX_RESULTS = 10000;
+
+// Setting that records when match counting began, so filters aren't flagged as unused
+// before there has been a full window of stats
+const STATS_STARTED_SETTING = 'filterStatsStartedAt';
+
+// Last URL counted per tab, so title changes and reloads don't count again
+const countedTabUrls = new Map();
+const MAX_COUNTED_TABS = 1000;
+
+/**
+ * Returns the local calendar day of a timestamp as YYYY-MM-DD
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string}
+ */
+export function getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the day keys of the last `days` days, oldest first, ending today
+ * @param {number} days - Number of days
+ * @returns {Array<string>}
+ */
+function getRecentDayKeys(days) {
+    const now = Date.now();
+    return Array.from({ length: days }, (_, i) => getDayKey(now - (days - 1 - i) * DAY_MS));
+}
+
+export class FilterStats {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Counts a match for each filter, once per tab and URL
+     * @param {Object} tab - The tab that matched
+     * @param {Array<Object>} filters - Matching filters
+     */
+    async recordMatches(tab, filters) {
+        if (filters.length === 0 || countedTabUrls.get(tab.id) === tab.url) return;
+
+        if (countedTabUrls.size >= MAX_COUNTED_TABS) countedTabUrls.clear();
+        countedTabUrls.set(tab.id, tab.url);
+
+        try {
+            await this.db.addFilterMatches(filters.map(filter => filter.id), getDayKey(Date.now()));
+        } catch (e) {
+            console.error('[TabSentry] Failed to record filter matches:', e);
+        }
+    }
+
+    /**
+     * Builds activity stats and dead-filter flags for every filter
+     * @returns {Promise<{days: Array<string>, filters: Object<number, Object>}>} - Per filter:
+     *   matches, moves and closes over the last FILTER_STATS_DAYS days, `daily` activity
+     *   counts for the sparkline, lastFiredAt, noRecentMatches, and the url/title values
+     *   that never match browsing history in `unusedValues`
+     */
+    async getStats() {
+        const now = Date.now();
+        const days = getRecentDayKeys(FILTER_STATS_DAYS);
+        const since = now - FILTER_STATS_DAYS * DAY_MS;
+
+        await this.db.pruneFilterStats(getDayKey(now - FILTER_STATS_RETENTION_DAYS * DAY_MS));
+
+        let startedAt = await this.db.getSetting(STATS_STARTED_SETTING);
+        if (!startedAt) {
+            startedAt = now;
+            await this.db.setSetting(STATS_STARTED_SETTING, startedAt);
+        }
+
+        const [filters, matchRows, moves, closes, historyItems] = await Promise.all([
+            this.db.getAllFilters(),
+            this.db.getFilterStats(),
+            this.db.getAutomovedTabs(),
+            this.db.getAutoclosedTabs(),
+            this.getHistoryItems()
+        ]);
+
+        const stats = {};
+        for (const filter of filters) {
+            const daily = new Map(days.map(day => [day, 0]));
+            const entry = { matches: 0, moves: 0, closes: 0, lastFiredAt: null };
+            const addActivity = (kind, timestamp, count = 1) => {
+                if (timestamp > (entry.lastFiredAt || 0)) entry.lastFiredAt = timestamp;
+                if (timestamp < since) return;
+                entry[kind] += count;
+                const day = getDayKey(timestamp);
+                if (daily.has(day)) daily.set(day, daily.get(day) + count);
+            };
+
+            matchRows
+                .filter(row => row.filterId === filter.id)
+                .forEach(row => addActivity('matches', row.lastMatchedAt, row.matches));
+            moves
+                .filter(move => move.targetWindow === filter.name)
+                .forEach(move => addActivity('moves', move.movedAt));
+            closes
+                .filter(close => close.closeFilter === filter.name)
+                .forEach(close => addActivity('closes', close.closedAt));
+
+            stats[filter.id] = {
+                ...entry,
+                daily: Array.from(daily.values()),
+                // Moves and closes imply a match; new filters haven't had the chance to match yet
+                noRecentMatches: entry.matches + entry.moves + entry.closes === 0
+                    && startedAt < since && (filter.createdAt || 0) < since,
+                unusedValues: historyItems ? this.findUnusedValues(filter, historyItems) : []
+            };
+        }
+
+        return { days, filters: stats };
+    }
+
+    /**
+     * Reads recent browsing history, or null if it can't be searched
+     * @returns {Promise<Array<{url: string, title: string}>|null>}
+     */
+    async getHistoryItems() {
+        try {
+            const items = await chrome.history.search({
+                text: '',
+                startTime: Date.now() - HISTORY_LOOKBACK_DAYS * DAY_MS,
+                maxResults: HISTORY_MAX_RESULTS
+            });
+            return items.map(item => ({ url: item.url || '', title: item.title || '' }));
+        } catch (e) {
+            console.error('[TabSentry] Failed to search history:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Lists the url and title values of a filter's required conditions that match no
+     * history entry. Other properties describe live tab state that history doesn't keep.
+     * @param {Object} filter - Filter object
+     * @param {Array<{url: string, title: string}>} historyItems - Recent history
+     * @returns {Array<string>}
+     */
+    findUnusedValues(filter, historyItems) {
+        const unused = [];
+        for (const condition of getPositiveConditions(getFilterConditionTree(filter))) {
+            if (condition.property !== 'url' && condition.property !== 'title') continue;
+
+            for (const value of getConditionValues(condition)) {
+                const single = { ...condition, values: [value], negate: false };
+                if (!historyItems.some(item => matchCondition(item, single))) {
+                    unused.push(String(value));
+                }
+            }
+        }
+        return unused;
+    }
+}
@@ -1,6 +1,9 @@
-import { updateBadge } from "./utils.js";
+import { updateBadge, restoreWindowLayout, captureAnchorWindowState } from "./utils.js";
+import { FilterEngine } from "./filter-engine.js";
+
+export function registerRuntimeListeners(db, sessionManager, autoCloser, sessionTimeline) {
+    const filterEngine = new FilterEngine(db);
 
-export function registerRuntimeListeners(db, sessionManager) {
     // Handle messages from popup
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         if (message.type === "GET_RECOVERY_RESULT") {
@@ -33,6 +36,42 @@ export function registerRuntimeListeners(db, sessionManager) {
             return true;
         }
 
+        if (message.type === "ASSIGN_RECOVERY_MATCH") {
+            (async () => {
+                try {
+                    sendResponse(await sessionManager.assignRecoveryMatch(message.orphanWindowId, message.currentWindowId));
+                } catch (error) {
+                    console.error("[TabSentry] Assign recovery match error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "SPLIT_RECOVERY_MATCH") {
+            (async () => {
+                try {
+                    sendResponse(await sessionManager.splitRecoveryMatch(message.orphanWindowId));
+                } catch (error) {
+                    console.error("[TabSentry] Split recovery match error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "RESTORE_MISSING_TABS") {
+            (async () => {
+                try {
+                    sendResponse(await sessionManager.restoreMissingTabs(message.orphanWindowId));
+                } catch (error) {
+                    console.error("[TabSentry] Restore missing tabs error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
         if (message.type === "DISMISS_RECOVERY") {
             sessionManager.dismissRecovery().then(() => {
                 sendResponse({ success: true });
@@ -44,13 +83,10 @@ export function registerRuntimeListeners(db, sessionManager) {
             (async () => {
                 await db.updateWindow(message.windowId, { title: message.title });
 
-                // If this is the anchor window, update anchor config
-                const activeAnchorWindowId = await db.getSetting('activeAnchorWindowId');
-                if (activeAnchorWindowId === message.windowId) {
-                    const anchorConfig = await db.getAnchorWindow();
-                    if (anchorConfig) {
-                        await db.updateAnchorWindow({ windowTitle: message.title });
-                    }
+                // If this is an anchor window, update its anchor config
+                const anchorConfig = await db.getAnchorWindowByWindowId(message.windowId);
+                if (anchorConfig) {
+                    await db.updateAnchorWindow(anchorConfig.id, { windowTitle: message.title });
                 }
 
                 sendResponse({ success: true });
@@ -71,12 +107,26 @@ export function registerRuntimeListeners(db, sessionManager) {
                 sendResponse({
                     title: window?.title || null,
                     lastAccessed: window?.lastAccessed || null,
-                    createdAt: window?.createdAt || null
+                    createdAt: window?.createdAt || null,
+                    suspendExempt: window?.suspendExempt || false
                 });
             });
             return true;
         }
 
+        if (message.type === "SET_WINDOW_SUSPEND_EXEMPT") {
+            (async () => {
+                try {
+                    await db.updateWindow(message.windowId, { suspendExempt: message.exempt });
+                    sendResponse({ success: true });
+                } catch (error) {
+                    console.error("[TabSentry] SET_WINDOW_SUSPEND_EXEMPT error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
         // Filter CRUD message handlers
         if (message.type === "GET_ALL_FILTERS") {
             db.getAllFilters().then(filters => {
@@ -85,6 +135,84 @@ export function registerRuntimeListeners(db, sessionManager) {
             return true;
         }
 
+        if (message.type === "REORDER_FILTERS") {
+            (async () => {
+                try {
+                    await db.reorderFilters(message.filterIds);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    console.error("[TabSentry] REORDER_FILTERS error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "TEST_FILTERS") {
+            (async () => {
+                try {
+                    const result = await filterEngine.explainMatch({ url: message.url, title: message.title || "" });
+                    sendResponse({ success: true, ...result });
+                } catch (error) {
+                    console.error("[TabSentry] TEST_FILTERS error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "PREVIEW_APPLY_FILTERS") {
+            (async () => {
+                try {
+                    const preview = await filterEngine.previewApplyFilters();
+                    sendResponse({ success: true, ...preview });
+                } catch (error) {
+                    console.error("[TabSentry] PREVIEW_APPLY_FILTERS error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "APPLY_FILTERS") {
+            (async () => {
+                try {
+                    const result = await filterEngine.applyFiltersNow();
+                    sendResponse({ success: true, ...result });
+                } catch (error) {
+                    console.error("[TabSentry] APPLY_FILTERS error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "UNDO_APPLY_FILTERS") {
+            (async () => {
+                try {
+                    const result = await filterEngine.undoApplyFilters();
+                    sendResponse({ success: true, ...result });
+                } catch (error) {
+                    console.error("[TabSentry] UNDO_APPLY_FILTERS error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "GET_FILTER_STATS") {
+            (async () => {
+                try {
+                    const stats = await filterEngine.stats.getStats();
+                    sendResponse({ success: true, ...stats });
+                } catch (error) {
+                    console.error("[TabSentry] GET_FILTER_STATS error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
         if (message.type === "GET_FILTER") {
             db.getFilter(message.filterId).then(filter => {
                 sendResponse({ success: true, filter });
@@ -93,16 +221,41 @@ export function registerRuntimeListeners(db, sessionManager) {
         }
 
         if (message.type === "ADD_FILTER") {
-            db.addFilter(message.filterData).then(id => {
-                sendResponse({ success: true, id });
-            });
+            (async () => {
+                try {
+                    const id = await db.addFilter(message.filterData);
+                    sendResponse({ success: true, id });
+                } catch (error) {
+                    console.error("[TabSentry] ADD_FILTER error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
             return true;
         }
 
         if (message.type === "UPDATE_FILTER") {
-            db.updateFilter(message.filterId, message.filterData).then(() => {
-                sendResponse({ success: true });
-            });
+            (async () => {
+                try {
+                    await db.updateFilter(message.filterId, message.filterData);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    console.error("[TabSentry] UPDATE_FILTER error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "REPLACE_FILTER") {
+            (async () => {
+                try {
+                    await db.replaceFilter(message.filterId, message.filterData);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    console.error("[TabSentry] REPLACE_FILTER error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
             return true;
         }
 
@@ -113,48 +266,122 @@ export function registerRuntimeListeners(db, sessionManager) {
             return true;
         }
 
-        // Anchor Window message handlers
-        if (message.type === "SET_ANCHOR_WINDOW") {
+        // Auto-close preview message handlers
+        if (message.type === "GET_AUTO_CLOSE_PREVIEW") {
             (async () => {
                 try {
-                    const windowId = message.windowId;
+                    const preview = await autoCloser.getClosurePreview();
+                    sendResponse({ success: true, ...preview });
+                } catch (error) {
+                    console.error("[TabSentry] GET_AUTO_CLOSE_PREVIEW error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
 
-                    // Get current window tabs
-                    const tabs = await chrome.tabs.query({ windowId });
-                    const tabGroups = await chrome.tabGroups.query({ windowId });
+        if (message.type === "SNOOZE_TAB") {
+            (async () => {
+                try {
+                    const snoozedUntil = await autoCloser.snoozeTab(message.tabId, message.durationMs);
+                    sendResponse({ success: true, snoozedUntil });
+                } catch (error) {
+                    console.error("[TabSentry] SNOOZE_TAB error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
 
-                    // Get window title from DB
-                    const windowData = await db.getWindow(windowId);
-                    const windowTitle = windowData?.title || "";
-
-                    // Get timeAccumulated for each tab from DB
-                    const tabsWithTime = await Promise.all(tabs.map(async (tab) => {
-                        const dbTab = await db.getTab(tab.id);
-                        return {
-                            url: tab.url || tab.pendingUrl || "",
-                            title: tab.title || "",
-                            faviconUrl: tab.favIconUrl || "",
-                            index: tab.index,
-                            pinned: tab.pinned || false,
-                            groupId: tab.groupId || -1,
-                            timeAccumulated: dbTab?.timeAccumulated || 0
-                        };
-                    }));
+        if (message.type === "PROTECT_TAB") {
+            (async () => {
+                try {
+                    await autoCloser.setTabProtected(message.tabId, message.protected !== false);
+                    sendResponse({ success: true });
+                } catch (error) {
+                    console.error("[TabSentry] PROTECT_TAB error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
 
-                    // Save anchor config
-                    await db.setAnchorWindow({
-                        windowTitle,
-                        tabs: tabsWithTime,
-                        tabGroups: tabGroups.map(g => ({
-                            id: g.id,
-                            title: g.title || "",
-                            color: g.color,
-                            collapsed: g.collapsed
-                        }))
+        if (message.type === "REOPEN_AUTOCLOSED_TABS") {
+            (async () => {
+                try {
+                    const count = await autoCloser.reopenAutoclosedTabs(message.ids, message.windowTitle || null, {
+                        includeRestored: message.includeRestored === true
                     });
+                    sendResponse({ success: true, count });
+                } catch (error) {
+                    console.error("[TabSentry] REOPEN_AUTOCLOSED_TABS error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
 
-                    // Store active anchor window ID
-                    await db.setSetting('activeAnchorWindowId', windowId);
+        if (message.type === "GET_DUPLICATE_GROUPS") {
+            (async () => {
+                try {
+                    const groups = await filterEngine.getDuplicateTabGroups();
+                    sendResponse({ success: true, groups });
+                } catch (error) {
+                    console.error("[TabSentry] GET_DUPLICATE_GROUPS error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "MERGE_DUPLICATES") {
+            (async () => {
+                try {
+                    const { closed, journalEntryId } = await filterEngine.mergeDuplicates(message.tabIds || null);
+                    sendResponse({ success: true, closed, journalEntryId });
+                } catch (error) {
+                    console.error("[TabSentry] MERGE_DUPLICATES error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        // Action journal message handlers
+        if (message.type === "GET_ACTION_JOURNAL") {
+            db.getRecentJournalEntries(message.limit || 50).then(entries => {
+                sendResponse({ success: true, entries });
+            });
+            return true;
+        }
+
+        if (message.type === "REVERT_ACTION") {
+            (async () => {
+                try {
+                    const count = await autoCloser.revertJournalEntry(message.entryId);
+                    sendResponse({ success: true, count });
+                } catch (error) {
+                    console.error("[TabSentry] REVERT_ACTION error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        // Anchor Window message handlers
+        if (message.type === "SET_ANCHOR_WINDOW") {
+            (async () => {
+                try {
+                    const windowId = message.windowId;
+                    const state = await captureAnchorWindowState(db, windowId);
+
+                    // Re-anchoring a window refreshes its config instead of adding another
+                    const existing = await db.getAnchorWindowByWindowId(windowId);
+                    if (existing) {
+                        await db.updateAnchorWindow(existing.id, state);
+                    } else {
+                        await db.addAnchorWindow({ ...state, windowId });
+                    }
 
                     sendResponse({ success: true });
                 } catch (error) {
@@ -168,8 +395,15 @@ export function registerRuntimeListeners(db, sessionManager) {
         if (message.type === "CLEAR_ANCHOR_WINDOW") {
             (async () => {
                 try {
-                    await db.clearAnchorWindow();
-                    await db.setSetting('activeAnchorWindowId', null);
+                    // With a window ID, only that window stops being an anchor
+                    if (message.windowId !== undefined) {
+                        const anchorConfig = await db.getAnchorWindowByWindowId(message.windowId);
+                        if (anchorConfig) {
+                            await db.removeAnchorWindow(anchorConfig.id);
+                        }
+                    } else {
+                        await db.clearAnchorWindows();
+                    }
                     sendResponse({ success: true });
                 } catch (error) {
                     console.error("[TabSentry] CLEAR_ANCHOR_WINDOW error:", error);
@@ -179,18 +413,19 @@ export function registerRuntimeListeners(db, sessionManager) {
             return true;
         }
 
-        if (message.type === "GET_ANCHOR_WINDOW") {
+        if (message.type === "GET_ANCHOR_WINDOWS") {
             (async () => {
                 try {
-                    const anchorConfig = await db.getAnchorWindow();
-                    const activeWindowId = await db.getSetting('activeAnchorWindowId');
+                    const anchorConfigs = await db.getAnchorWindows();
                     sendResponse({
                         success: true,
-                        anchorConfig,
-                        activeAnchorWindowId: activeWindowId
+                        anchorConfigs,
+                        anchorWindowIds: anchorConfigs
+                            .map(config => config.windowId)
+                            .filter(windowId => windowId !== null && windowId !== undefined)
                     });
                 } catch (error) {
-                    console.error("[TabSentry] GET_ANCHOR_WINDOW error:", error);
+                    console.error("[TabSentry] GET_ANCHOR_WINDOWS error:", error);
                     sendResponse({ success: false, error: error.message });
                 }
             })();
@@ -200,41 +435,13 @@ export function registerRuntimeListeners(db, sessionManager) {
         if (message.type === "UPDATE_ANCHOR_TABS") {
             (async () => {
                 try {
-                    const windowId = message.windowId;
-
-                    // Get current window tabs
-                    const tabs = await chrome.tabs.query({ windowId });
-                    const tabGroups = await chrome.tabGroups.query({ windowId });
-
-                    // Get window title from DB
-                    const windowData = await db.getWindow(windowId);
-                    const windowTitle = windowData?.title || "";
-
-                    // Get timeAccumulated for each tab from DB
-                    const tabsWithTime = await Promise.all(tabs.map(async (tab) => {
-                        const dbTab = await db.getTab(tab.id);
-                        return {
-                            url: tab.url || tab.pendingUrl || "",
-                            title: tab.title || "",
-                            faviconUrl: tab.favIconUrl || "",
-                            index: tab.index,
-                            pinned: tab.pinned || false,
-                            groupId: tab.groupId || -1,
-                            timeAccumulated: dbTab?.timeAccumulated || 0
-                        };
-                    }));
+                    const anchorConfig = await db.getAnchorWindowByWindowId(message.windowId);
+                    if (!anchorConfig) {
+                        sendResponse({ success: false, error: "Window is not an anchor window" });
+                        return;
+                    }
 
-                    // Update anchor config
-                    await db.updateAnchorWindow({
-                        windowTitle,
-                        tabs: tabsWithTime,
-                        tabGroups: tabGroups.map(g => ({
-                            id: g.id,
-                            title: g.title || "",
-                            color: g.color,
-                            collapsed: g.collapsed
-                        }))
-                    });
+                    await db.updateAnchorWindow(anchorConfig.id, await captureAnchorWindowState(db, message.windowId));
 
                     sendResponse({ success: true });
                 } catch (error) {
@@ -434,61 +641,64 @@ export function registerRuntimeListeners(db, sessionManager) {
                         return;
                     }
 
-                    // Create new window with the first tab
-                    const firstTab = savedWindow.tabs[0];
-                    const newWindow = await chrome.windows.create({
-                        url: firstTab?.url || "chrome://newtab",
-                        focused: true
-                    });
+                    const windowId = await restoreWindowLayout(db, savedWindow);
+                    sendResponse({ success: true, windowId });
+                } catch (error) {
+                    console.error("[TabSentry] RESTORE_SAVED_WINDOW error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
 
-                    // Create remaining tabs
-                    const tabIdMap = new Map(); // Maps old groupId to array of new tab ids
-                    for (let i = 1; i < savedWindow.tabs.length; i++) {
-                        const tabData = savedWindow.tabs[i];
-                        const newTab = await chrome.tabs.create({
-                            windowId: newWindow.id,
-                            url: tabData.url,
-                            pinned: tabData.pinned,
-                            index: tabData.index
-                        });
-
-                        // Track tabs by their original groupId for group recreation
-                        if (tabData.groupId && tabData.groupId !== -1) {
-                            if (!tabIdMap.has(tabData.groupId)) {
-                                tabIdMap.set(tabData.groupId, []);
-                            }
-                            tabIdMap.get(tabData.groupId).push(newTab.id);
-                        }
-                    }
+        // Session timeline message handlers
+        if (message.type === "GET_SESSION_SNAPSHOTS") {
+            db.getSessionSnapshotSummaries().then(snapshots => {
+                sendResponse({ success: true, snapshots });
+            });
+            return true;
+        }
 
-                    // Handle first tab's group membership
-                    if (firstTab?.groupId && firstTab.groupId !== -1) {
-                        const firstTabId = (await chrome.tabs.query({ windowId: newWindow.id }))[0].id;
-                        if (!tabIdMap.has(firstTab.groupId)) {
-                            tabIdMap.set(firstTab.groupId, []);
-                        }
-                        tabIdMap.get(firstTab.groupId).unshift(firstTabId);
-                    }
+        if (message.type === "GET_SESSION_SNAPSHOT") {
+            (async () => {
+                try {
+                    const windows = await sessionTimeline.getSnapshotWindows(message.snapshotId);
+                    sendResponse({ success: true, windows });
+                } catch (error) {
+                    console.error("[TabSentry] GET_SESSION_SNAPSHOT error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
 
-                    // Recreate tab groups
-                    for (const savedGroup of savedWindow.tabGroups) {
-                        const tabIds = tabIdMap.get(savedGroup.id);
-                        if (tabIds && tabIds.length > 0) {
-                            const groupId = await chrome.tabs.group({
-                                tabIds,
-                                createProperties: { windowId: newWindow.id }
-                            });
-                            await chrome.tabGroups.update(groupId, {
-                                title: savedGroup.title,
-                                color: savedGroup.color,
-                                collapsed: savedGroup.collapsed
-                            });
-                        }
-                    }
+        if (message.type === "TAKE_SESSION_SNAPSHOT") {
+            sessionTimeline.takeSnapshot().then(snapshotId => {
+                sendResponse({ success: true, snapshotId });
+            });
+            return true;
+        }
 
-                    sendResponse({ success: true, windowId: newWindow.id });
+        if (message.type === "RESTORE_SNAPSHOT_WINDOW") {
+            (async () => {
+                try {
+                    const windowId = await sessionTimeline.restoreWindow(message.snapshotId, message.windowId);
+                    sendResponse({ success: true, windowId });
                 } catch (error) {
-                    console.error("[TabSentry] RESTORE_SAVED_WINDOW error:", error);
+                    console.error("[TabSentry] RESTORE_SNAPSHOT_WINDOW error:", error);
+                    sendResponse({ success: false, error: error.message });
+                }
+            })();
+            return true;
+        }
+
+        if (message.type === "RESTORE_SNAPSHOT") {
+            (async () => {
+                try {
+                    const { windowIds, skipped } = await sessionTimeline.restoreSnapshot(message.snapshotId);
+                    sendResponse({ success: true, count: windowIds.length, skipped });
+                } catch (error) {
+                    console.error("[TabSentry] RESTORE_SNAPSHOT error:", error);
                     sendResponse({ success: false, error: error.message });
                 }
             })();
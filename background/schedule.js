@@ -0,0 +1,72 @@
+// Weekly schedule that decides when auto-close may run.
+// Stored in settings as 'autoCloseSchedule'. Days use Date.getDay() numbering (0 = Sunday),
+// times are "HH:MM" in local time. A block whose start equals its end covers the whole day,
+// and a block whose end is before its start runs past midnight into the next day.
+export const DEFAULT_SCHEDULE = {
+    enabled: false,
+    // When on, tabs are only closed or suspended inside these hours
+    workHours: {
+        enabled: false,
+        days: [1, 2, 3, 4, 5],
+        start: "09:00",
+        end: "18:00"
+    },
+    // { id, label, days, start, end, action: "pause" | "limit", timeLimit (hours) }
+    blocks: []
+};
+
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+    if (!match) return 0;
+    return Math.min(24 * 60, parseInt(match[1], 10) * 60 + parseInt(match[2], 10));
+}
+
+// Whether a date falls inside a days/start/end range
+export function isInTimeRange(range, date = new Date()) {
+    const days = range.days || [];
+    const day = date.getDay();
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = parseTime(range.start);
+    const end = parseTime(range.end);
+
+    if (start === end) {
+        return days.includes(day);
+    }
+    if (start < end) {
+        return days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Overnight range: the part after midnight belongs to the previous day's entry
+    if (minutes >= start) return days.includes(day);
+    if (minutes < end) return days.includes((day + 6) % 7);
+    return false;
+}
+
+// Resolves what auto-close may do at a given moment.
+// Returns { accumulate, close, timeLimit (hours or null), reason }
+export function getScheduleState(schedule, date = new Date()) {
+    const state = { accumulate: true, close: true, timeLimit: null, reason: "" };
+    if (!schedule || !schedule.enabled) return state;
+
+    const activeBlocks = (schedule.blocks || []).filter(block => isInTimeRange(block, date));
+
+    // A pause block stops everything, including time accumulation
+    const pauseBlock = activeBlocks.find(block => block.action === "pause");
+    if (pauseBlock) {
+        return { accumulate: false, close: false, timeLimit: null, reason: pauseBlock.label || "Paused" };
+    }
+
+    const workHours = schedule.workHours;
+    if (workHours?.enabled && !isInTimeRange(workHours, date)) {
+        state.close = false;
+        state.reason = "Outside work hours";
+    }
+
+    // The last matching limit block wins, so more specific blocks can be listed later
+    const limitBlock = activeBlocks.filter(block => block.action === "limit" && block.timeLimit > 0).pop();
+    if (limitBlock) {
+        state.timeLimit = limitBlock.timeLimit;
+        if (!state.reason) state.reason = limitBlock.label || `${limitBlock.timeLimit}h limit`;
+    }
+
+    return state;
+}
@@ -1,5 +1,5 @@
-import { URLMatcher } from "./url-matcher.js";
-import { updateBadgeImmediate } from "./utils.js";
+import { URLMatcher, MATCH_WEIGHT_SETTINGS, MATCH_THRESHOLD_SETTING } from "./url-matcher.js";
+import { updateBadgeImmediate, captureAnchorWindowState, withTabBudgetSuspended } from "./utils.js";
 
 export class SessionManager {
     constructor(db) {
@@ -275,6 +275,9 @@ export class SessionManager {
     async performRecovery(detection) {
         const { storedWindows, storedTabs } = detection;
 
+        // Orphans matched by an earlier recovery were only kept so its matches could be corrected
+        await this.deleteMatchedOrphans();
+
         // Mark all stored records as orphans
         await this.db.markAllCurrentAsOrphans();
 
@@ -350,6 +353,7 @@ export class SessionManager {
         const currentTabs = await this.db.getNonOrphanTabs();
 
         // Run matching algorithm
+        await this.loadMatcherSettings();
         const matchResult = this.urlMatcher.findBestMatches(
             orphanWindows,
             currentWindows,
@@ -357,71 +361,418 @@ export class SessionManager {
             currentTabs
         );
 
-        // Transfer data from matched orphans to current windows
+        // Transfer data from matched orphans to current windows. The matched orphans stay in
+        // the DB (flagged with recoveryMatchedTo) until the recovery banner is dismissed, so a
+        // wrong match can be corrected and the data transferred again.
         for (const match of matchResult.matched) {
-            // Transfer window title
-            if (match.orphanWindow.title) {
-                await this.db.updateWindow(match.currentWindow.id, {
-                    title: match.orphanWindow.title
-                });
-            }
-
-            // Transfer tab accumulated time by URL matching
-            await this.transferTabTimeData(match.orphanTabs, match.currentTabs);
-
-            // Restore pinned status for matched tabs
-            await this.restoreTabPinnedStatus(match.orphanTabs, match.currentTabs);
-
-            // Restore tab group titles
-            await this.restoreTabGroupTitles(match.orphanWindow.id, match.currentWindow.id, match.orphanTabs, match.currentTabs);
-
-            // Delete the matched orphan window and its tabs
-            await this.db.deleteOrphanWindow(match.orphanWindow.id);
-
-            // Also delete orphan tab groups for this window
-            const orphanGroups = await this.db.getOrphanTabGroupsByWindowId(match.orphanWindow.id);
-            for (const group of orphanGroups) {
-                await this.db.removeTabGroup(group.id);
-            }
+            await this.transferRecoveryMatch(match.orphanWindow, match.orphanTabs, match.currentWindow.id);
         }
 
         // Keep unmatched orphans in DB for potential later recovery
         // (they remain with isOrphan = 1)
 
+        const getCandidates = (orphanWindowId) => matchResult.candidates
+            .filter(c => c.orphanWindowId === orphanWindowId)
+            .map(c => ({ windowId: c.currentWindowId, score: c.score, components: c.components }));
+
         return {
+            matchThreshold: this.urlMatcher.threshold,
             matched: matchResult.matched.map(m => ({
-                title: m.orphanWindow.title || "Untitled Window",
+                ...this.describeOrphanWindow(m.orphanWindow, m.orphanTabs, getCandidates(m.orphanWindow.id)),
+                currentWindowId: m.currentWindow.id,
                 confidence: m.confidence,
-                tabCount: m.orphanTabs.length,
-                tabs: m.orphanTabs.map(t => ({
-                    title: t.title || "",
-                    url: t.url || "",
-                    faviconUrl: t.faviconUrl || ""
-                }))
+                components: m.components,
+                manual: false,
+                missingTabs: this.describeMissingTabs(m.orphanTabs, m.currentTabs)
             })),
-            unmatchedOrphans: matchResult.unmatchedOrphans.map(w => {
-                const windowTabs = orphanTabs.filter(t => t.windowId === w.id);
+            unmatchedOrphans: matchResult.unmatchedOrphans.map(w => this.describeOrphanWindow(
+                w,
+                orphanTabs.filter(t => t.windowId === w.id),
+                getCandidates(w.id)
+            )),
+            // Windows open now, labelled by their first tab, for picking a match by hand
+            currentWindows: currentWindows.map(w => {
+                const windowTabs = currentTabs
+                    .filter(t => t.windowId === w.id)
+                    .sort((a, b) => a.index - b.index);
                 return {
                     windowId: w.id,
-                    title: w.title || "Untitled Window",
-                    tabCount: windowTabs.length,
-                    tabs: windowTabs.map(t => ({
-                        title: t.title || "",
-                        url: t.url || "",
-                        faviconUrl: t.faviconUrl || ""
-                    }))
+                    label: windowTabs[0]?.title || windowTabs[0]?.url || "New Tab",
+                    tabCount: windowTabs.length
                 };
             })
         };
     }
 
+    // Applies the window matching weights and threshold from settings
+    async loadMatcherSettings() {
+        const weights = {};
+        for (const [component, settingName] of Object.entries(MATCH_WEIGHT_SETTINGS)) {
+            const value = await this.db.getSetting(settingName);
+            if (value !== null) weights[component] = Number(value);
+        }
+        const threshold = await this.db.getSetting(MATCH_THRESHOLD_SETTING);
+        this.urlMatcher.configure({
+            weights,
+            threshold: threshold !== null ? Number(threshold) / 100 : undefined
+        });
+    }
+
+    // Recovery banner entry for an orphan window
+    describeOrphanWindow(orphanWindow, orphanTabs, candidates) {
+        return {
+            windowId: orphanWindow.id,
+            title: orphanWindow.title || "Untitled Window",
+            tabCount: orphanTabs.length,
+            tabs: orphanTabs.map(t => ({
+                title: t.title || "",
+                url: t.url || "",
+                faviconUrl: t.faviconUrl || ""
+            })),
+            candidates
+        };
+    }
+
+    // Pairs each orphan tab with an open tab of the same URL, each open tab used once.
+    // Returns the pairs (orphan tab ID -> open tab) and the orphan tabs left over, in order.
+    pairTabsByUrl(orphanTabs, currentTabs) {
+        const available = new Map();
+        for (const tab of [...currentTabs].sort((a, b) => a.index - b.index)) {
+            const url = tab.url || tab.pendingUrl;
+            if (!available.has(url)) available.set(url, []);
+            available.get(url).push(tab);
+        }
+
+        const pairs = new Map();
+        const missing = [];
+        for (const orphanTab of [...orphanTabs].sort((a, b) => a.index - b.index)) {
+            const match = available.get(orphanTab.url)?.shift();
+            if (match) {
+                pairs.set(orphanTab.id, match);
+            } else if (orphanTab.url && !orphanTab.url.startsWith('chrome://')) {
+                missing.push(orphanTab);
+            }
+        }
+        return { pairs, missing };
+    }
+
+    // Recovery banner list of the orphan tabs that didn't come back in the matched window
+    describeMissingTabs(orphanTabs, currentTabs) {
+        return this.pairTabsByUrl(orphanTabs, currentTabs).missing.map(t => ({
+            title: t.title || "",
+            url: t.url || "",
+            faviconUrl: t.faviconUrl || ""
+        }));
+    }
+
+    // Reopens the tabs of a matched orphan window that are missing from the window it was
+    // matched with, next to the tabs they used to follow and in their original groups
+    async restoreMissingTabs(orphanWindowId) {
+        const result = await this.getRecoveryResult();
+        const orphanWindow = await this.db.getWindow(orphanWindowId);
+        const entry = result?.matched?.find(m => m.windowId === orphanWindowId);
+        if (!entry || !orphanWindow?.recoveryMatchedTo) {
+            return { success: false, error: "This window is not matched" };
+        }
+
+        const windowId = orphanWindow.recoveryMatchedTo;
+        try {
+            await chrome.windows.get(windowId);
+        } catch (e) {
+            return { success: false, error: "That window has been closed" };
+        }
+
+        const orphanTabs = (await this.db.getOrphanTabsByWindowId(orphanWindowId)).sort((a, b) => a.index - b.index);
+        const orphanGroups = await this.db.getOrphanTabGroupsByWindowId(orphanWindowId);
+        const groupMap = new Map(orphanGroups.map(g => [g.id, g]));
+
+        // Diff against the live window, in case tabs were opened since the banner was built
+        const { pairs, missing } = this.pairTabsByUrl(orphanTabs, await chrome.tabs.query({ windowId }));
+        const missingIds = new Set(missing.map(t => t.id));
+        const openTabIds = new Map([...pairs].map(([orphanTabId, tab]) => [orphanTabId, tab.id]));
+        const restoredByGroup = new Map();
+        const failed = [];
+        let restored = 0;
+
+        // Hold off the tab budget while tabs reopen, so it doesn't make room by closing others
+        await withTabBudgetSuspended(async () => {
+            for (let i = 0; i < orphanTabs.length; i++) {
+                const orphanTab = orphanTabs[i];
+                if (!missingIds.has(orphanTab.id)) continue;
+
+                let newTab;
+                try {
+                    // Place it right after the closest earlier tab that is open now
+                    let index = 0;
+                    for (let j = i - 1; j >= 0; j--) {
+                        const previousTabId = openTabIds.get(orphanTabs[j].id);
+                        if (previousTabId === undefined) continue;
+                        try {
+                            index = (await chrome.tabs.get(previousTabId)).index + 1;
+                            break;
+                        } catch (e) {
+                            // Tab was closed since, keep looking
+                        }
+                    }
+
+                    newTab = await chrome.tabs.create({
+                        windowId,
+                        url: orphanTab.url,
+                        index,
+                        pinned: orphanTab.pinned || false,
+                        active: false
+                    });
+                } catch (e) {
+                    console.error("[TabSentry] Failed to restore missing tab:", orphanTab.url, e);
+                    failed.push(orphanTab);
+                    continue;
+                }
+
+                // Mark tab as restoring so URL updates and activation don't reset values
+                this.markTabAsRestoring(newTab.id);
+                openTabIds.set(orphanTab.id, newTab.id);
+                restored++;
+
+                try {
+                    if (orphanTab.groupId && orphanTab.groupId !== -1 && groupMap.has(orphanTab.groupId)) {
+                        if (!restoredByGroup.has(orphanTab.groupId)) restoredByGroup.set(orphanTab.groupId, []);
+                        restoredByGroup.get(orphanTab.groupId).push(newTab.id);
+                    } else if (newTab.groupId !== undefined && newTab.groupId !== -1) {
+                        // Opened between grouped tabs, but it wasn't grouped before
+                        await chrome.tabs.ungroup(newTab.id);
+                    }
+
+                    const updates = {};
+                    if (orphanTab.timeAccumulated > 0) {
+                        updates.timeAccumulated = orphanTab.timeAccumulated;
+                    }
+                    if (orphanTab.timeFocused > 0) {
+                        updates.timeFocused = orphanTab.timeFocused;
+                    }
+                    if (orphanTab.lastAccessed) {
+                        updates.lastAccessed = orphanTab.lastAccessed;
+                    }
+                    if (orphanTab.snoozedUntil > Date.now()) {
+                        updates.snoozedUntil = orphanTab.snoozedUntil;
+                    }
+                    if (Object.keys(updates).length > 0) {
+                        await this.db.updateTab(newTab.id, updates);
+                    }
+                } catch (e) {
+                    console.error("[TabSentry] Failed to carry data over to restored tab:", orphanTab.url, e);
+                }
+            }
+        });
+
+        // Put restored tabs back in their groups, joining a group of the same name if it's open
+        const currentGroups = await chrome.tabGroups.query({ windowId });
+        for (const [orphanGroupId, tabIds] of restoredByGroup) {
+            const orphanGroup = groupMap.get(orphanGroupId);
+            try {
+                const existingGroup = orphanGroup.title
+                    ? currentGroups.find(g => g.title === orphanGroup.title)
+                    : null;
+                if (existingGroup) {
+                    await chrome.tabs.group({ groupId: existingGroup.id, tabIds });
+                } else {
+                    const newGroupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+                    await chrome.tabGroups.update(newGroupId, {
+                        title: orphanGroup.title || "",
+                        color: orphanGroup.color || "grey",
+                        collapsed: orphanGroup.collapsed || false
+                    });
+                }
+            } catch (e) {
+                console.error("[TabSentry] Failed to regroup restored tabs:", e);
+            }
+        }
+
+        // Tabs that failed to open stay listed, so they can be tried again
+        entry.missingTabs = this.describeMissingTabs(failed, []);
+        await this.saveRecoveryResult(result);
+
+        console.log("[TabSentry] Restored", restored, "missing tabs into window:", windowId, "failed:", failed.length);
+        return { success: true, restored, failed: failed.length, result };
+    }
+
+    // Carries a matched orphan window's title, suspend exemption, tab times, snoozes, pinned
+    // status and tab group titles over to the current window it was matched with
+    async transferRecoveryMatch(orphanWindow, orphanTabs, currentWindowId, { transferTitle = true } = {}) {
+        const currentTabs = (await this.db.getTabsByWindowId(currentWindowId)).filter(t => t.isOrphan !== 1);
+
+        // Transfer window title
+        if (transferTitle && orphanWindow.title) {
+            await this.db.updateWindow(currentWindowId, {
+                title: orphanWindow.title
+            });
+        }
+
+        // Transfer suspend exemption
+        if (orphanWindow.suspendExempt) {
+            await this.db.updateWindow(currentWindowId, { suspendExempt: true });
+        }
+
+        // Transfer tab accumulated time by URL matching
+        await this.transferTabTimeData(orphanTabs, currentTabs);
+
+        // Carry over auto-close snoozes
+        await this.transferTabSnoozeData(orphanTabs, currentTabs);
+
+        // Restore pinned status for matched tabs
+        await this.restoreTabPinnedStatus(orphanTabs, currentTabs);
+
+        // Restore tab group titles
+        await this.restoreTabGroupTitles(orphanWindow.id, currentWindowId, orphanTabs, currentTabs);
+
+        await this.db.updateWindow(orphanWindow.id, { recoveryMatchedTo: currentWindowId });
+    }
+
+    // Takes back the window-level data an orphan gave its matched window. If other orphans
+    // are still matched to that window, their title and suspend exemption take over.
+    // Tab-level data (times, pins, group titles) follows tab URLs and is left in place.
+    async undoRecoveryTransfer(orphanWindow) {
+        const currentWindowId = orphanWindow.recoveryMatchedTo;
+        const currentWindow = await this.db.getWindow(currentWindowId);
+        if (!currentWindow) return;
+
+        const remaining = (await this.db.getOrphanWindows())
+            .filter(w => w.id !== orphanWindow.id && w.recoveryMatchedTo === currentWindowId);
+
+        const updates = {};
+        if (orphanWindow.title && currentWindow.title === orphanWindow.title) {
+            updates.title = remaining.find(w => w.title)?.title || "";
+        }
+        if (orphanWindow.suspendExempt && !remaining.some(w => w.suspendExempt)) {
+            updates.suspendExempt = false;
+        }
+        if (Object.keys(updates).length > 0) {
+            await this.db.updateWindow(currentWindowId, updates);
+        }
+    }
+
+    // Pairs an orphan window from the recovery banner with a current window, replacing its
+    // previous match. Several orphans may share one current window (merged windows); the
+    // first one with a title keeps naming it.
+    async assignRecoveryMatch(orphanWindowId, currentWindowId) {
+        const result = await this.getRecoveryResult();
+        const orphanWindow = await this.db.getWindow(orphanWindowId);
+        if (!result || !orphanWindow || orphanWindow.isOrphan !== 1) {
+            return { success: false, error: "This window is no longer waiting for recovery" };
+        }
+
+        try {
+            await chrome.windows.get(currentWindowId);
+        } catch (e) {
+            return { success: false, error: "That window has been closed" };
+        }
+
+        const entry = this.takeRecoveryEntry(result, orphanWindowId);
+        if (!entry) {
+            return { success: false, error: "This window is no longer waiting for recovery" };
+        }
+
+        if (orphanWindow.recoveryMatchedTo && orphanWindow.recoveryMatchedTo !== currentWindowId) {
+            await this.undoRecoveryTransfer(orphanWindow);
+        }
+
+        const titledOrphan = (await this.db.getOrphanWindows()).find(w =>
+            w.id !== orphanWindowId && w.recoveryMatchedTo === currentWindowId && w.title
+        );
+        const orphanTabs = await this.db.getOrphanTabsByWindowId(orphanWindowId);
+        await this.transferRecoveryMatch(orphanWindow, orphanTabs, currentWindowId, { transferTitle: !titledOrphan });
+
+        const candidate = (entry.candidates || []).find(c => c.windowId === currentWindowId);
+        const currentTabs = (await this.db.getTabsByWindowId(currentWindowId)).filter(t => t.isOrphan !== 1);
+        result.matched.push({
+            ...entry,
+            currentWindowId,
+            confidence: candidate?.score || 0,
+            components: candidate?.components || null,
+            manual: true,
+            missingTabs: this.describeMissingTabs(orphanTabs, currentTabs)
+        });
+        await this.saveRecoveryResult(result);
+
+        console.log("[TabSentry] Recovery match set by hand:", orphanWindowId, "->", currentWindowId);
+        return { success: true, result };
+    }
+
+    // Splits an orphan window off its match and moves it back to the unmatched windows
+    async splitRecoveryMatch(orphanWindowId) {
+        const result = await this.getRecoveryResult();
+        const orphanWindow = await this.db.getWindow(orphanWindowId);
+        if (!result || !orphanWindow || !orphanWindow.recoveryMatchedTo) {
+            return { success: false, error: "This window is not matched" };
+        }
+
+        const entry = this.takeRecoveryEntry(result, orphanWindowId);
+        if (!entry) {
+            return { success: false, error: "This window is not matched" };
+        }
+
+        await this.undoRecoveryTransfer(orphanWindow);
+        await this.db.updateWindow(orphanWindowId, { recoveryMatchedTo: null });
+
+        const { currentWindowId, confidence, components, manual, missingTabs, ...unmatched } = entry;
+        result.unmatchedOrphans = [...(result.unmatchedOrphans || []), unmatched];
+        await this.saveRecoveryResult(result);
+
+        console.log("[TabSentry] Recovery match split:", orphanWindowId, "from", currentWindowId);
+        return { success: true, result };
+    }
+
+    // Removes an orphan's entry from the matched or unmatched list and returns it
+    takeRecoveryEntry(result, orphanWindowId) {
+        for (const key of ["matched", "unmatchedOrphans"]) {
+            const list = result[key] || [];
+            const index = list.findIndex(w => w.windowId === orphanWindowId);
+            if (index !== -1) {
+                result[key] = list.filter((_, i) => i !== index);
+                return list[index];
+            }
+        }
+        return null;
+    }
+
+    async deleteMatchedOrphans() {
+        const orphanWindows = await this.db.getOrphanWindows();
+        for (const window of orphanWindows.filter(w => w.recoveryMatchedTo)) {
+            const orphanGroups = await this.db.getOrphanTabGroupsByWindowId(window.id);
+            for (const group of orphanGroups) {
+                await this.db.removeTabGroup(group.id);
+            }
+            await this.db.deleteOrphanWindow(window.id);
+        }
+    }
+
     async transferTabTimeData(orphanTabs, currentTabs) {
-        // Match tabs by URL and transfer timeAccumulated
+        // Match tabs by URL and transfer timeAccumulated and timeFocused
         for (const currentTab of currentTabs) {
             const matchingOrphan = orphanTabs.find(ot => ot.url === currentTab.url);
-            if (matchingOrphan && matchingOrphan.timeAccumulated > 0) {
+            if (!matchingOrphan) continue;
+
+            const updates = {};
+            if (matchingOrphan.timeAccumulated > 0) {
+                updates.timeAccumulated = matchingOrphan.timeAccumulated;
+            }
+            if (matchingOrphan.timeFocused > 0) {
+                updates.timeFocused = matchingOrphan.timeFocused;
+            }
+            if (Object.keys(updates).length > 0) {
+                await this.db.updateTab(currentTab.id, updates);
+            }
+        }
+    }
+
+    async transferTabSnoozeData(orphanTabs, currentTabs) {
+        // Match tabs by URL and transfer snoozedUntil if the snooze hasn't expired
+        // ("never auto-close" protection is keyed by URL, so it carries over on its own)
+        const now = Date.now();
+        for (const currentTab of currentTabs) {
+            const matchingOrphan = orphanTabs.find(ot => ot.url === currentTab.url);
+            if (matchingOrphan && matchingOrphan.snoozedUntil > now) {
                 await this.db.updateTab(currentTab.id, {
-                    timeAccumulated: matchingOrphan.timeAccumulated
+                    snoozedUntil: matchingOrphan.snoozedUntil
                 });
             }
         }
@@ -572,20 +923,23 @@ export class SessionManager {
         }
 
         try {
-            // Create new window with first tab
-            const newWindow = await chrome.windows.create({ url: validTabs[0].url });
-            const createdTabs = [{ orphanTab: validTabs[0], newTabId: newWindow.tabs[0].id }];
-
-            // Create remaining tabs
-            for (let i = 1; i < validTabs.length; i++) {
-                const newTab = await chrome.tabs.create({
-                    windowId: newWindow.id,
-                    url: validTabs[i].url
-                });
-                createdTabs.push({ orphanTab: validTabs[i], newTabId: newTab.id });
-            }
+            const { newWindow, createdTabs } = await withTabBudgetSuspended(async () => {
+                // Create new window with first tab
+                const newWindow = await chrome.windows.create({ url: validTabs[0].url });
+                const createdTabs = [{ orphanTab: validTabs[0], newTabId: newWindow.tabs[0].id }];
+
+                // Create remaining tabs
+                for (let i = 1; i < validTabs.length; i++) {
+                    const newTab = await chrome.tabs.create({
+                        windowId: newWindow.id,
+                        url: validTabs[i].url
+                    });
+                    createdTabs.push({ orphanTab: validTabs[i], newTabId: newTab.id });
+                }
+                return { newWindow, createdTabs };
+            });
 
-            // Restore pinned status, timeAccumulated, and lastAccessed for tabs
+            // Restore pinned status, tracked time, lastAccessed and snoozedUntil for tabs
             for (const { orphanTab, newTabId } of createdTabs) {
                 if (orphanTab.pinned) {
                     try {
@@ -595,7 +949,7 @@ export class SessionManager {
                         console.error("[TabSentry] Failed to pin tab:", newTabId, e);
                     }
                 }
-                // Transfer timeAccumulated and lastAccessed from orphan tab
+                // Transfer timeAccumulated, timeFocused, lastAccessed and snoozedUntil from orphan tab
                 try {
                     // Mark tab as restoring so URL updates and activation don't reset values
                     this.markTabAsRestoring(newTabId);
@@ -603,9 +957,15 @@ export class SessionManager {
                     if (orphanTab.timeAccumulated > 0) {
                         updates.timeAccumulated = orphanTab.timeAccumulated;
                     }
+                    if (orphanTab.timeFocused > 0) {
+                        updates.timeFocused = orphanTab.timeFocused;
+                    }
                     if (orphanTab.lastAccessed) {
                         updates.lastAccessed = orphanTab.lastAccessed;
                     }
+                    if (orphanTab.snoozedUntil > Date.now()) {
+                        updates.snoozedUntil = orphanTab.snoozedUntil;
+                    }
                     if (Object.keys(updates).length > 0) {
                         await this.db.updateTab(newTabId, updates);
                         console.log("[TabSentry] Restored tab data for:", newTabId, updates);
@@ -715,16 +1075,24 @@ export class SessionManager {
         if (existing) {
             await this.db.removeSetting(existing.id);
         }
+
+        // Matches can't be edited any more, so the matched orphans aren't needed
+        await this.deleteMatchedOrphans();
+    }
+
+    async saveRecoveryResult(result) {
+        await this.db.setSetting('recoveryResult', JSON.stringify(result));
     }
 
     async updateRecoveryResult(updatedResult) {
-        // Check if there are any unmatched orphans left
-        if (!updatedResult.unmatchedOrphans || updatedResult.unmatchedOrphans.length === 0) {
-            // No more unmatched windows, clear the recovery banner
+        // Matched windows stay on the banner, editable, until the user dismisses it
+        const hasMatched = updatedResult.matched?.length > 0;
+        const hasUnmatched = updatedResult.unmatchedOrphans?.length > 0;
+        if (!hasMatched && !hasUnmatched) {
+            // Nothing left to show, clear the recovery banner
             await this.dismissRecovery();
         } else {
-            // Update with remaining unmatched windows
-            await this.db.setSetting('recoveryResult', JSON.stringify(updatedResult));
+            await this.saveRecoveryResult(updatedResult);
         }
     }
 
@@ -751,46 +1119,56 @@ export class SessionManager {
     /**
      * ANCHOR WINDOW RECOVERY
      *
-     * This runs AFTER performRecovery(). The anchor config is the source of truth
-     * for window title and tab timeAccumulated values.
+     * This runs AFTER performRecovery(). Each anchor config is the source of truth
+     * for its window's title and tab timeAccumulated values.
      *
      * Flow:
-     * 1. Find anchor window among current browser windows (by URL matching)
-     * 2. If not found, create it from anchor config
-     * 3. Force-apply anchor config data (title, timeAccumulated) - overwrites any recovery data
-     * 4. Remove anchor from recovery banner
+     * 1. Find each anchor window among current browser windows (by URL matching)
+     * 2. If not found, create it from its anchor config
+     * 3. Force-apply anchor config data (title, timeAccumulated, timeFocused) - overwrites any recovery data
+     * 4. Remove anchors from recovery banner
      */
     async restoreAnchorWindowIfNeeded() {
         try {
-            const anchorConfig = await this.db.getAnchorWindow();
-            if (!anchorConfig) {
+            const anchorConfigs = await this.db.getAnchorWindows();
+            if (anchorConfigs.length === 0) {
                 console.log("[TabSentry] No anchor window config found");
                 return;
             }
 
             console.log("[TabSentry] === ANCHOR WINDOW RECOVERY ===");
-            console.log("[TabSentry] Anchor config:", {
-                windowTitle: anchorConfig.windowTitle,
-                tabCount: anchorConfig.tabs?.length,
-                tabs: anchorConfig.tabs?.map(t => ({ url: t.url, time: t.timeAccumulated }))
-            });
-
-            // Find matching window
-            const anchorWindowId = await this.findAnchorWindow(anchorConfig);
+            for (const anchorConfig of anchorConfigs) {
+                console.log("[TabSentry] Anchor config:", {
+                    id: anchorConfig.id,
+                    windowTitle: anchorConfig.windowTitle,
+                    tabCount: anchorConfig.tabs?.length,
+                    tabs: anchorConfig.tabs?.map(t => ({ url: t.url, time: t.timeAccumulated }))
+                });
+            }
 
-            if (anchorWindowId) {
-                console.log("[TabSentry] Found existing anchor window:", anchorWindowId);
-                await this.forceApplyAnchorData(anchorWindowId, anchorConfig);
-            } else {
-                console.log("[TabSentry] No matching window, creating anchor window...");
-                const newWindowId = await this.createAnchorWindow(anchorConfig);
-                if (newWindowId) {
-                    await this.forceApplyAnchorData(newWindowId, anchorConfig);
+            // Find matching windows, one per anchor
+            const anchorWindowIds = await this.findAnchorWindows(anchorConfigs);
+
+            for (const anchorConfig of anchorConfigs) {
+                const anchorWindowId = anchorWindowIds.get(anchorConfig.id);
+
+                if (anchorWindowId) {
+                    console.log("[TabSentry] Found existing anchor window:", anchorConfig.id, anchorWindowId);
+                    await this.forceApplyAnchorData(anchorWindowId, anchorConfig);
+                } else {
+                    console.log("[TabSentry] No matching window, creating anchor window...", anchorConfig.id);
+                    const newWindowId = await this.createAnchorWindow(anchorConfig);
+                    if (newWindowId) {
+                        await this.forceApplyAnchorData(newWindowId, anchorConfig);
+                    } else {
+                        // Don't leave the config tied to a window ID from before the restart
+                        await this.db.updateAnchorWindow(anchorConfig.id, { windowId: null });
+                    }
                 }
-            }
 
-            // Remove from recovery banner
-            await this.removeAnchorFromRecoveryBanner(anchorConfig);
+                // Remove from recovery banner
+                await this.removeAnchorFromRecoveryBanner(anchorConfig);
+            }
 
             console.log("[TabSentry] === ANCHOR RECOVERY COMPLETE ===");
 
@@ -809,33 +1187,47 @@ export class SessionManager {
         }
     }
 
-    async findAnchorWindow(anchorConfig) {
-        const browserWindows = await chrome.windows.getAll({ populate: true });
+    // Fraction of an anchor config's URLs that are open in a browser window
+    getAnchorMatchScore(anchorConfig, win) {
         const savedUrls = new Set((anchorConfig.tabs || []).map(t => t.url).filter(Boolean));
+        if (savedUrls.size === 0) return 0;
 
-        if (savedUrls.size === 0) return null;
-
-        let bestMatch = null;
-        let bestScore = 0;
+        const winUrls = new Set((win.tabs || []).map(t => t.url || t.pendingUrl).filter(Boolean));
 
-        for (const win of browserWindows) {
-            const winUrls = new Set((win.tabs || []).map(t => t.url || t.pendingUrl).filter(Boolean));
+        let matches = 0;
+        for (const url of savedUrls) {
+            if (winUrls.has(url)) matches++;
+        }
 
-            let matches = 0;
-            for (const url of savedUrls) {
-                if (winUrls.has(url)) matches++;
-            }
+        console.log(`[TabSentry] Anchor ${anchorConfig.id} vs window ${win.id}: ${matches}/${savedUrls.size} URLs (${Math.round(matches / savedUrls.size * 100)}%)`);
+        return matches / savedUrls.size;
+    }
 
-            const score = matches / savedUrls.size;
-            console.log(`[TabSentry] Window ${win.id}: ${matches}/${savedUrls.size} URLs (${Math.round(score * 100)}%)`);
+    // Returns a Map of anchor config ID -> matching window ID. Best matches are claimed
+    // first, so two anchors with overlapping tabs never share a window.
+    async findAnchorWindows(anchorConfigs) {
+        const browserWindows = await chrome.windows.getAll({ populate: true });
 
-            if (score >= 0.5 && score > bestScore) {
-                bestMatch = win;
-                bestScore = score;
+        const candidates = [];
+        for (const anchorConfig of anchorConfigs) {
+            for (const win of browserWindows) {
+                const score = this.getAnchorMatchScore(anchorConfig, win);
+                if (score >= 0.5) {
+                    candidates.push({ anchorId: anchorConfig.id, windowId: win.id, score });
+                }
             }
         }
+        candidates.sort((a, b) => b.score - a.score);
+
+        const matches = new Map();
+        const claimedWindowIds = new Set();
+        for (const candidate of candidates) {
+            if (matches.has(candidate.anchorId) || claimedWindowIds.has(candidate.windowId)) continue;
+            matches.set(candidate.anchorId, candidate.windowId);
+            claimedWindowIds.add(candidate.windowId);
+        }
 
-        return bestMatch?.id || null;
+        return matches;
     }
 
     async createAnchorWindow(anchorConfig) {
@@ -849,18 +1241,21 @@ export class SessionManager {
             return null;
         }
 
-        // Create window with first tab
-        const newWindow = await chrome.windows.create({ url: validTabs[0].url });
-        this.markTabAsRestoring(newWindow.tabs[0].id);
+        const newWindow = await withTabBudgetSuspended(async () => {
+            // Create window with first tab
+            const newWindow = await chrome.windows.create({ url: validTabs[0].url });
+            this.markTabAsRestoring(newWindow.tabs[0].id);
 
-        // Create remaining tabs
-        for (let i = 1; i < validTabs.length; i++) {
-            const tab = await chrome.tabs.create({
-                windowId: newWindow.id,
-                url: validTabs[i].url
-            });
-            this.markTabAsRestoring(tab.id);
-        }
+            // Create remaining tabs
+            for (let i = 1; i < validTabs.length; i++) {
+                const tab = await chrome.tabs.create({
+                    windowId: newWindow.id,
+                    url: validTabs[i].url
+                });
+                this.markTabAsRestoring(tab.id);
+            }
+            return newWindow;
+        });
 
         // Wait for DB to catch up (longer delay for slower machines)
         await new Promise(r => setTimeout(r, 3000));
@@ -953,7 +1348,7 @@ export class SessionManager {
             }
         }
 
-        // === FORCE TAB TIME ACCUMULATED ===
+        // === FORCE TAB TIME DATA ===
         const currentTabs = await chrome.tabs.query({ windowId });
         const savedTabsByUrl = new Map();
         for (const savedTab of (anchorConfig.tabs || [])) {
@@ -962,7 +1357,7 @@ export class SessionManager {
             }
         }
 
-        console.log("[TabSentry] Restoring timeAccumulated for", currentTabs.length, "tabs");
+        console.log("[TabSentry] Restoring tab time data for", currentTabs.length, "tabs");
 
         for (const tab of currentTabs) {
             const tabUrl = tab.url || tab.pendingUrl;
@@ -985,54 +1380,34 @@ export class SessionManager {
                         faviconUrl: tab.favIconUrl || "",
                         lastAccessed: Date.now(),
                         timeAccumulated: savedTab.timeAccumulated || 0,
+                        timeFocused: savedTab.timeFocused || 0,
                         index: tab.index,
                         groupId: tab.groupId || -1,
                         pinned: tab.pinned || false
                     });
                     console.log("[TabSentry] Created tab with timeAccumulated:", tab.id, savedTab.timeAccumulated);
-                } else if (savedTab.timeAccumulated > 0) {
-                    await this.db.updateTab(tab.id, { timeAccumulated: savedTab.timeAccumulated });
-                    console.log("[TabSentry] Updated tab timeAccumulated:", tab.id, savedTab.timeAccumulated);
+                } else if (savedTab.timeAccumulated > 0 || savedTab.timeFocused > 0) {
+                    const updates = {};
+                    if (savedTab.timeAccumulated > 0) updates.timeAccumulated = savedTab.timeAccumulated;
+                    if (savedTab.timeFocused > 0) updates.timeFocused = savedTab.timeFocused;
+                    await this.db.updateTab(tab.id, updates);
+                    console.log("[TabSentry] Updated tab time data:", tab.id, updates);
                 }
             }
         }
 
-        // Update active anchor window ID
-        await this.db.setSetting('activeAnchorWindowId', windowId);
+        // Tie the anchor config to its window
+        await this.db.updateAnchorWindow(anchorConfig.id, { windowId });
 
-        // Sync anchor config to current state (preserves timeAccumulated we just set)
-        await this.syncAnchorConfig(windowId, anchorConfig.windowTitle);
+        // Sync anchor config to current state (preserves the tab times we just set)
+        await this.syncAnchorConfig(anchorConfig.id, windowId, anchorConfig.windowTitle);
     }
 
-    async syncAnchorConfig(windowId, windowTitle) {
-        const currentTabs = await chrome.tabs.query({ windowId });
-        let currentGroups = [];
-        try {
-            currentGroups = await chrome.tabGroups.query({ windowId });
-        } catch (e) {}
-
-        const tabsWithTime = await Promise.all(currentTabs.map(async (tab) => {
-            const dbTab = await this.db.getTab(tab.id);
-            return {
-                url: tab.url || tab.pendingUrl || "",
-                title: tab.title || "",
-                faviconUrl: tab.favIconUrl || "",
-                index: tab.index,
-                pinned: tab.pinned || false,
-                groupId: tab.groupId || -1,
-                timeAccumulated: dbTab?.timeAccumulated || 0
-            };
-        }));
-
-        await this.db.updateAnchorWindow({
-            windowTitle: windowTitle || "",
-            tabs: tabsWithTime,
-            tabGroups: currentGroups.map(g => ({
-                id: g.id,
-                title: g.title || "",
-                color: g.color,
-                collapsed: g.collapsed
-            }))
+    async syncAnchorConfig(anchorId, windowId, windowTitle) {
+        const state = await captureAnchorWindowState(this.db, windowId);
+        await this.db.updateAnchorWindow(anchorId, {
+            ...state,
+            windowTitle: windowTitle || ""
         });
     }
 
@@ -0,0 +1,191 @@
+import { restoreWindowLayout } from "./utils.js";
+
+// Periodic snapshots of every open window, its tabs, tab groups and title, for the
+// session timeline page.
+//
+// A window in a snapshot: { id, title, tabs: [{ url, title, pinned, groupId }],
+// tabGroups: [{ id, title, color, collapsed }] }
+// Snapshots are stored as deltas: a keyframe row holds every window, and each row after it
+// holds only the windows that were added or changed (`changed`) and the IDs of the ones
+// that closed (`removed`). A snapshot is rebuilt by replaying rows from the keyframe before it.
+// Nothing is stored when the browser state hasn't changed since the last snapshot.
+const SNAPSHOT_ALARM_NAME = "session-snapshot";
+const SNAPSHOT_INTERVAL_MINUTES = 15;
+// A keyframe every 24 rows bounds how many deltas a lookup replays
+const KEYFRAME_INTERVAL = 24;
+const RETENTION_DAYS = 60;
+
+// Module-level reference to the active SessionTimeline instance for the alarm handler
+let activeTimeline = null;
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name === SNAPSHOT_ALARM_NAME && activeTimeline) {
+        await activeTimeline.takeSnapshot();
+    }
+});
+
+// Replays snapshot rows (a keyframe followed by its deltas) into a list of windows
+function replaySnapshotChain(chain) {
+    const windows = new Map();
+    for (const row of chain) {
+        if (row.keyframe) {
+            windows.clear();
+            row.windows.forEach(window => windows.set(window.id, window));
+            continue;
+        }
+        (row.removed || []).forEach(windowId => windows.delete(windowId));
+        (row.changed || []).forEach(window => windows.set(window.id, window));
+    }
+    return Array.from(windows.values());
+}
+
+export class SessionTimeline {
+    constructor(db) {
+        this.db = db;
+        // Last stored state, so each snapshot can be diffed without reading the DB
+        this.lastWindows = null;
+        this.rowsSinceKeyframe = 0;
+        this.isInitialized = false;
+        activeTimeline = this;
+    }
+
+    async initialize() {
+        const existingAlarm = await chrome.alarms.get(SNAPSHOT_ALARM_NAME);
+        if (!existingAlarm) {
+            await chrome.alarms.create(SNAPSHOT_ALARM_NAME, { periodInMinutes: SNAPSHOT_INTERVAL_MINUTES });
+        }
+
+        await this.takeSnapshot();
+        this.isInitialized = true;
+    }
+
+    // Reads the current windows, tabs, groups and window titles
+    async captureWindows() {
+        const [browserWindows, browserGroups] = await Promise.all([
+            chrome.windows.getAll({ populate: true, windowTypes: ["normal"] }),
+            chrome.tabGroups.query({})
+        ]);
+
+        const windows = [];
+        for (const browserWindow of browserWindows) {
+            const dbWindow = await this.db.getWindow(browserWindow.id);
+            const tabs = (browserWindow.tabs || [])
+                .map(tab => ({
+                    url: tab.url || tab.pendingUrl || "",
+                    title: tab.title || "",
+                    pinned: tab.pinned || false,
+                    groupId: tab.groupId ?? -1
+                }))
+                .filter(tab => tab.url);
+            if (tabs.length === 0) continue;
+
+            windows.push({
+                id: browserWindow.id,
+                title: dbWindow?.title || "",
+                tabs,
+                tabGroups: browserGroups
+                    .filter(group => group.windowId === browserWindow.id)
+                    .map(group => ({
+                        id: group.id,
+                        title: group.title || "",
+                        color: group.color,
+                        collapsed: group.collapsed
+                    }))
+            });
+        }
+        return windows;
+    }
+
+    // Loads the latest stored state after a service worker restart
+    async loadLastWindows() {
+        const latest = await this.db.getLatestSessionSnapshot();
+        if (!latest) return [];
+
+        const chain = await this.db.getSessionSnapshotChain(latest.id);
+        this.rowsSinceKeyframe = Math.max(0, chain.length - 1);
+        return replaySnapshotChain(chain);
+    }
+
+    // Stores the current state if it differs from the last snapshot. Returns the new row's ID, or null.
+    async takeSnapshot() {
+        try {
+            if (this.lastWindows === null) {
+                this.lastWindows = await this.loadLastWindows();
+            }
+
+            const windows = await this.captureWindows();
+            const previous = new Map(this.lastWindows.map(window => [window.id, JSON.stringify(window)]));
+            const changed = windows.filter(window => previous.get(window.id) !== JSON.stringify(window));
+            const currentIds = new Set(windows.map(window => window.id));
+            const removed = this.lastWindows.map(window => window.id).filter(id => !currentIds.has(id));
+
+            const isFirst = this.lastWindows.length === 0 && !(await this.db.getLatestSessionSnapshot());
+            if (!isFirst && changed.length === 0 && removed.length === 0) return null;
+
+            const counts = {
+                windowCount: windows.length,
+                tabCount: windows.reduce((sum, window) => sum + window.tabs.length, 0)
+            };
+            let id;
+            if (isFirst || this.rowsSinceKeyframe >= KEYFRAME_INTERVAL) {
+                id = await this.db.addSessionSnapshot({ keyframe: 1, windows, ...counts });
+                this.rowsSinceKeyframe = 0;
+            } else {
+                id = await this.db.addSessionSnapshot({ keyframe: 0, changed, removed, ...counts });
+                this.rowsSinceKeyframe++;
+            }
+            this.lastWindows = windows;
+
+            await this.pruneSnapshots();
+            return id;
+        } catch (e) {
+            console.error("[TabSentry] Failed to take session snapshot:", e);
+            return null;
+        }
+    }
+
+    // Drops snapshots older than the retention period, keeping the keyframe later rows depend on
+    async pruneSnapshots() {
+        const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const keyframe = await this.db.getLastSessionKeyframeBefore(cutoff);
+        if (keyframe) {
+            await this.db.deleteSessionSnapshotsBefore(keyframe.id);
+        }
+    }
+
+    async getSnapshotWindows(snapshotId) {
+        const chain = await this.db.getSessionSnapshotChain(snapshotId);
+        if (chain.length === 0) throw new Error("Snapshot not found");
+        return replaySnapshotChain(chain);
+    }
+
+    // Reopens one window from a snapshot, with its tabs, groups and title
+    async restoreWindow(snapshotId, windowId) {
+        const windows = await this.getSnapshotWindows(snapshotId);
+        const window = windows.find(w => w.id === windowId);
+        if (!window) throw new Error("Window not found in snapshot");
+
+        return await restoreWindowLayout(this.db, window);
+    }
+
+    // Reopens every window from a snapshot. Windows that are still open, i.e. an open window
+    // has all of their tabs, are skipped rather than opened a second time.
+    async restoreSnapshot(snapshotId) {
+        const windows = await this.getSnapshotWindows(snapshotId);
+        const openWindows = await chrome.windows.getAll({ populate: true, windowTypes: ["normal"] });
+        const openUrlSets = openWindows.map(w => new Set(w.tabs.map(tab => tab.url || tab.pendingUrl)));
+
+        const windowIds = [];
+        let skipped = 0;
+        for (const window of windows) {
+            const isOpen = openUrlSets.some(urls => window.tabs.every(tab => urls.has(tab.url)));
+            if (isOpen) {
+                skipped++;
+                continue;
+            }
+            windowIds.push(await restoreWindowLayout(this.db, window));
+        }
+        console.log(`[TabSentry] Restored ${windowIds.length} windows from snapshot ${snapshotId}, ${skipped} already open`);
+        return { windowIds, skipped };
+    }
+}
@@ -1,10 +1,17 @@
-import { getSafeFaviconUrl, updateBadge } from "./utils.js";
+import { getSafeFaviconUrl, updateBadge, captureAnchorWindowState, isTabBudgetSuspended } from "./utils.js";
 import { URLMatcher } from "./url-matcher.js";
 import { FilterEngine } from "./filter-engine.js";
 
 const urlMatcher = new URLMatcher();
 const TAB_REMOVAL_DELAY_MINUTES = 1;
 const TAB_STABILIZE_DELAY_MINUTES = 5 / 60; // 5 seconds
+const NEW_TAB_URLS = ["", "about:blank", "chrome://newtab/", "chrome://new-tab-page/"];
+
+// A tab is "newly opened" when it navigates away from a blank page, or when it
+// loads the pendingUrl it was created with (links opened in a new tab)
+function isFirstNavigation(previousUrl, url) {
+    return NEW_TAB_URLS.includes(previousUrl) || previousUrl === url;
+}
 
 async function updateWindowSignature(db, windowId) {
     try {
@@ -22,57 +29,25 @@ async function updateWindowSignature(db, windowId) {
 
 async function syncAnchorWindowIfNeeded(db, windowId) {
     try {
-        const activeAnchorWindowId = await db.getSetting('activeAnchorWindowId');
-        // Use == for type coercion (DB might store as string or number)
-        if (!activeAnchorWindowId || activeAnchorWindowId != windowId) return;
-
-        // This is the anchor window, sync the config
-        const tabs = await chrome.tabs.query({ windowId });
-        let tabGroups = [];
-        try {
-            tabGroups = await chrome.tabGroups.query({ windowId });
-        } catch (e) {
-            // Tab groups API not available
-        }
+        const anchorConfig = await db.getAnchorWindowByWindowId(windowId);
+        if (!anchorConfig) return;
 
-        const windowData = await db.getWindow(windowId);
-        const windowTitle = windowData?.title || "";
-
-        // Get timeAccumulated for each tab from DB
-        const tabsWithTime = await Promise.all(tabs.map(async (tab) => {
-            const dbTab = await db.getTab(tab.id);
-            return {
-                url: tab.url || tab.pendingUrl || "",
-                title: tab.title || "",
-                faviconUrl: tab.favIconUrl || "",
-                index: tab.index,
-                pinned: tab.pinned || false,
-                groupId: tab.groupId || -1,
-                timeAccumulated: dbTab?.timeAccumulated || 0
-            };
-        }));
-
-        await db.updateAnchorWindow({
-            windowTitle,
-            tabs: tabsWithTime,
-            tabGroups: tabGroups.map(g => ({
-                id: g.id,
-                title: g.title || "",
-                color: g.color,
-                collapsed: g.collapsed
-            }))
-        });
+        // This is an anchor window, sync its config
+        await db.updateAnchorWindow(anchorConfig.id, await captureAnchorWindowState(db, windowId));
 
-        console.log("[TabSentry] Synced anchor window config");
+        console.log("[TabSentry] Synced anchor window config:", anchorConfig.id);
     } catch (e) {
         console.error("[TabSentry] Failed to sync anchor window:", e);
     }
 }
 
-export function registerTabListeners(db, timeTracker, getSessionId, sessionManager) {
+export function registerTabListeners(db, timeTracker, getSessionId, sessionManager, autoCloser) {
     const filterEngine = new FilterEngine(db);
 
     chrome.tabs.onCreated.addListener(async (tab) => {
+        // Checked before any await, while the restore that opened this tab is still running
+        const openedByRestore = isTabBudgetSuspended();
+
         // Cancel any pending removal alarm for this tab ID (in case of reuse)
         await chrome.alarms.clear(`remove-tab-${tab.id}`);
 
@@ -94,6 +69,15 @@ export function registerTabListeners(db, timeTracker, getSessionId, sessionManag
         updateBadge();
         await updateWindowSignature(db, tab.windowId);
         await syncAnchorWindowIfNeeded(db, tab.windowId);
+
+        // Enforce the tab budget, leaving tabs opened by a restore alone
+        if (autoCloser) {
+            if (openedByRestore || isTabBudgetSuspended() || (sessionManager && sessionManager.isTabRestoring(tab.id))) {
+                await autoCloser.refreshTabBudgetWarning();
+            } else {
+                await autoCloser.enforceTabBudget(tab);
+            }
+        }
     });
 
     chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
@@ -116,6 +100,9 @@ export function registerTabListeners(db, timeTracker, getSessionId, sessionManag
         }
 
         updateBadge();
+        if (autoCloser) {
+            await autoCloser.refreshTabBudgetWarning();
+        }
     });
 
     // Handle alarm for delayed tab removal and smart organizer stabilization
@@ -136,22 +123,29 @@ export function registerTabListeners(db, timeTracker, getSessionId, sessionManag
                 return;
             }
 
+            // Filters are matched even with Smart Organizer off, so their match stats stay current
+            const steps = await filterEngine.processTabUpdate(tab);
             const smartOrganizerEnabled = await db.getSetting('smartOrganizerEnabled');
             if (smartOrganizerEnabled) {
-                const { action, filter } = await filterEngine.processTabUpdate(tab);
-
-                if (action === 'delete') {
-                    console.log('[TabSentry] Auto-closing tab matching filter:', filter.name);
-                    await filterEngine.executeDelete(tabId);
-                } else if (action === 'move') {
-                    console.log('[TabSentry] Auto-moving tab to window:', filter.name);
-                    await filterEngine.executeMove(tabId, filter);
-                }
+                await filterEngine.executeActions(tabId, steps);
             }
         }
     });
 
     chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+        const isRestoring = sessionManager && sessionManager.isTabRestoring(tabId);
+
+        // Close a newly opened duplicate and focus the existing copy instead
+        if (changeInfo.url !== undefined && !isRestoring && !tab.pinned) {
+            const dbTab = await db.getTab(tabId);
+            if (isFirstNavigation(dbTab?.url || "", changeInfo.url)) {
+                const autoCloseDuplicates = await db.getSetting('autoCloseDuplicates');
+                if (autoCloseDuplicates && await filterEngine.closeIfDuplicate(tab)) {
+                    return;
+                }
+            }
+        }
+
         const updates = {};
         if (changeInfo.title !== undefined) updates.title = changeInfo.title;
         if (changeInfo.url !== undefined) updates.url = changeInfo.url;
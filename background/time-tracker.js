@@ -71,9 +71,11 @@ export class TimeTracker {
             try {
                 const tab = await this.db.getTab(this.activeTabId);
                 if (tab && !tab.isOrphan) {
-                    const newAccumulated = (tab.timeAccumulated || 0) + elapsed;
+                    // Focused time is tracked separately from timeAccumulated (staleness),
+                    // which AutoCloser measures from the last activation
+                    const newFocused = (tab.timeFocused || 0) + elapsed;
                     await this.db.updateTab(this.activeTabId, {
-                        timeAccumulated: newAccumulated
+                        timeFocused: newFocused
                     });
 
                     // Notify listener that time was flushed for this window
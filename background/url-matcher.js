@@ -1,4 +1,116 @@
+// Relative weight of each similarity component in a window match score. They don't need
+// to add up to anything; each is divided by the total. Users can change them in settings.
+export const DEFAULT_MATCH_WEIGHTS = {
+    domains: 30,
+    paths: 25,
+    exactUrls: 15,
+    tabCount: 10,
+    titles: 10,
+    groups: 5,
+    tabOrder: 5
+};
+
+// Setting name for each weight; the threshold setting is a percentage
+export const MATCH_WEIGHT_SETTINGS = {
+    domains: 'matchWeightDomains',
+    paths: 'matchWeightPaths',
+    exactUrls: 'matchWeightExactUrls',
+    tabCount: 'matchWeightTabCount',
+    titles: 'matchWeightTitles',
+    groups: 'matchWeightGroups',
+    tabOrder: 'matchWeightTabOrder'
+};
+export const MATCH_THRESHOLD_SETTING = 'matchThreshold';
+
+// Windows scoring below this are never matched
+export const DEFAULT_MATCH_THRESHOLD = 0.35;
+
+// Title words shorter than this (and numbers, e.g. unread counts) are ignored
+const MIN_TITLE_WORD_LENGTH = 3;
+
+// Pairs each row with a different column so the total weight is as large as possible
+// (Hungarian algorithm). `weights` is a rectangular matrix; returns the column index
+// assigned to each row, or -1 when there are more rows than columns.
+function findOptimalAssignment(weights) {
+    const rows = weights.length;
+    const cols = rows > 0 ? weights[0].length : 0;
+    const size = Math.max(rows, cols);
+    if (size === 0) return [];
+
+    // Square cost matrix, 1-indexed; padding rows and columns cost nothing
+    const cost = (i, j) => (i <= rows && j <= cols ? -weights[i - 1][j - 1] : 0);
+
+    const u = new Array(size + 1).fill(0);
+    const v = new Array(size + 1).fill(0);
+    const rowForCol = new Array(size + 1).fill(0);
+    const way = new Array(size + 1).fill(0);
+
+    for (let i = 1; i <= size; i++) {
+        rowForCol[0] = i;
+        let col = 0;
+        const minSlack = new Array(size + 1).fill(Infinity);
+        const used = new Array(size + 1).fill(false);
+
+        do {
+            used[col] = true;
+            const row = rowForCol[col];
+            let delta = Infinity;
+            let nextCol = 0;
+            for (let j = 1; j <= size; j++) {
+                if (used[j]) continue;
+                const slack = cost(row, j) - u[row] - v[j];
+                if (slack < minSlack[j]) {
+                    minSlack[j] = slack;
+                    way[j] = col;
+                }
+                if (minSlack[j] < delta) {
+                    delta = minSlack[j];
+                    nextCol = j;
+                }
+            }
+            for (let j = 0; j <= size; j++) {
+                if (used[j]) {
+                    u[rowForCol[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minSlack[j] -= delta;
+                }
+            }
+            col = nextCol;
+        } while (rowForCol[col] !== 0);
+
+        do {
+            const prevCol = way[col];
+            rowForCol[col] = rowForCol[prevCol];
+            col = prevCol;
+        } while (col !== 0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= cols; j++) {
+        if (rowForCol[j] >= 1 && rowForCol[j] <= rows) {
+            assignment[rowForCol[j] - 1] = j - 1;
+        }
+    }
+    return assignment;
+}
+
 export class URLMatcher {
+    constructor(options = {}) {
+        this.configure(options);
+    }
+
+    // Sets the component weights (missing ones keep their default) and the 0-1 threshold
+    configure({ weights = {}, threshold = DEFAULT_MATCH_THRESHOLD } = {}) {
+        this.weights = { ...DEFAULT_MATCH_WEIGHTS };
+        for (const [component, weight] of Object.entries(weights)) {
+            if (component in DEFAULT_MATCH_WEIGHTS && Number.isFinite(weight) && weight >= 0) {
+                this.weights[component] = weight;
+            }
+        }
+        this.threshold = Number.isFinite(threshold) ? Math.max(0, Math.min(1, threshold)) : DEFAULT_MATCH_THRESHOLD;
+    }
+
     extractDomain(url) {
         try {
             const parsed = new URL(url);
@@ -54,13 +166,17 @@ export class URLMatcher {
     }
 
     hashString(str) {
-        let hash = 0;
+        // 53-bit hash (cyrb53); a 32-bit hash collides too easily across many windows
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
         for (let i = 0; i < str.length; i++) {
             const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+            h1 = Math.imul(h1 ^ char, 2654435761);
+            h2 = Math.imul(h2 ^ char, 1597334677);
         }
-        return hash.toString(36);
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
     }
 
     getTopDomains(domainCounts, n) {
@@ -78,39 +194,128 @@ export class URLMatcher {
         return intersection.size / union.size;
     }
 
-    calculateMatchScore(prevTabs, currTabs) {
+    getTitleWords(tabs) {
+        const words = new Set();
+        for (const tab of tabs) {
+            for (const word of (tab.title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+                if (word.length >= MIN_TITLE_WORD_LENGTH && !/^\d+$/.test(word)) {
+                    words.add(word);
+                }
+            }
+        }
+        return words;
+    }
+
+    // For each URL open in both windows, whether it sits in a group with the same shared
+    // URLs in both. 1 when the windows are grouped the same way, or both ungrouped.
+    groupStructureSimilarity(prevTabs, currTabs, commonUrls) {
+        if (commonUrls.length === 0) return 0;
+
+        const shared = new Set(commonUrls);
+        const groupKeys = (tabs) => {
+            const urlsByGroup = new Map();
+            const groupByUrl = new Map();
+            for (const tab of tabs) {
+                if (!shared.has(tab.url) || groupByUrl.has(tab.url)) continue;
+                const groupId = tab.groupId && tab.groupId !== -1 ? tab.groupId : null;
+                groupByUrl.set(tab.url, groupId);
+                if (groupId !== null) {
+                    if (!urlsByGroup.has(groupId)) urlsByGroup.set(groupId, []);
+                    urlsByGroup.get(groupId).push(tab.url);
+                }
+            }
+            const keys = new Map();
+            for (const [url, groupId] of groupByUrl) {
+                keys.set(url, groupId === null ? '' : [...urlsByGroup.get(groupId)].sort().join('\n'));
+            }
+            return keys;
+        };
+
+        const prevKeys = groupKeys(prevTabs);
+        const currKeys = groupKeys(currTabs);
+        const same = commonUrls.filter(url => prevKeys.get(url) === currKeys.get(url)).length;
+        return same / commonUrls.length;
+    }
+
+    // Share of pairs of shared URLs that appear in the same order in both windows
+    tabOrderSimilarity(prevTabs, currTabs, commonUrls) {
+        if (commonUrls.length === 0) return 0;
+        if (commonUrls.length === 1) return 1;
+
+        const positions = (tabs) => {
+            const byUrl = new Map();
+            [...tabs]
+                .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+                .forEach((tab, i) => {
+                    if (!byUrl.has(tab.url)) byUrl.set(tab.url, i);
+                });
+            return commonUrls.map(url => byUrl.get(url));
+        };
+
+        const prevPositions = positions(prevTabs);
+        const currPositions = positions(currTabs);
+        let concordant = 0;
+        let pairs = 0;
+        for (let i = 0; i < commonUrls.length; i++) {
+            for (let j = i + 1; j < commonUrls.length; j++) {
+                pairs++;
+                if ((prevPositions[i] < prevPositions[j]) === (currPositions[i] < currPositions[j])) {
+                    concordant++;
+                }
+            }
+        }
+        return concordant / pairs;
+    }
+
+    // Similarity of two windows' tabs, with the score of each component (0-1)
+    getMatchBreakdown(prevTabs, currTabs) {
         const prevValidTabs = prevTabs.filter(t => this.isValidUrl(t.url));
         const currValidTabs = currTabs.filter(t => this.isValidUrl(t.url));
 
-        if (prevValidTabs.length === 0 && currValidTabs.length === 0) {
-            return 1;
-        }
         if (prevValidTabs.length === 0 || currValidTabs.length === 0) {
-            return 0;
+            const value = prevValidTabs.length === currValidTabs.length ? 1 : 0;
+            const components = Object.fromEntries(Object.keys(DEFAULT_MATCH_WEIGHTS).map(c => [c, value]));
+            return { score: value, components };
         }
 
-        // Component 1: Domain Jaccard Similarity (40% weight)
+        // Domain Jaccard similarity
         const prevDomains = new Set(prevValidTabs.map(t => this.extractDomain(t.url)).filter(Boolean));
         const currDomains = new Set(currValidTabs.map(t => this.extractDomain(t.url)).filter(Boolean));
-        const domainScore = this.jaccardSimilarity(prevDomains, currDomains);
 
-        // Component 2: URL Path Similarity (30% weight)
+        // URL path similarity
         const prevPaths = new Set(prevValidTabs.map(t => this.extractPath(t.url)).filter(Boolean));
         const currPaths = new Set(currValidTabs.map(t => this.extractPath(t.url)).filter(Boolean));
-        const pathScore = this.jaccardSimilarity(prevPaths, currPaths);
 
-        // Component 3: Tab Count Similarity (15% weight)
+        // Tab count similarity
         const countDiff = Math.abs(prevValidTabs.length - currValidTabs.length);
         const maxCount = Math.max(prevValidTabs.length, currValidTabs.length);
-        const countScore = maxCount > 0 ? 1 - (countDiff / maxCount) : 1;
 
-        // Component 4: Exact URL Matches (15% weight)
+        // Exact URL matches
         const prevUrls = new Set(prevValidTabs.map(t => t.url));
         const currUrls = new Set(currValidTabs.map(t => t.url));
-        const exactScore = this.jaccardSimilarity(prevUrls, currUrls);
+        const commonUrls = [...prevUrls].filter(url => currUrls.has(url));
+
+        const components = {
+            domains: this.jaccardSimilarity(prevDomains, currDomains),
+            paths: this.jaccardSimilarity(prevPaths, currPaths),
+            exactUrls: this.jaccardSimilarity(prevUrls, currUrls),
+            tabCount: maxCount > 0 ? 1 - (countDiff / maxCount) : 1,
+            titles: this.jaccardSimilarity(this.getTitleWords(prevValidTabs), this.getTitleWords(currValidTabs)),
+            groups: this.groupStructureSimilarity(prevValidTabs, currValidTabs, commonUrls),
+            tabOrder: this.tabOrderSimilarity(prevValidTabs, currValidTabs, commonUrls)
+        };
 
         // Weighted final score
-        return (domainScore * 0.4) + (pathScore * 0.3) + (countScore * 0.15) + (exactScore * 0.15);
+        const totalWeight = Object.values(this.weights).reduce((sum, weight) => sum + weight, 0);
+        const score = totalWeight > 0
+            ? Object.entries(components).reduce((sum, [c, value]) => sum + value * this.weights[c], 0) / totalWeight
+            : 0;
+
+        return { score, components };
+    }
+
+    calculateMatchScore(prevTabs, currTabs) {
+        return this.getMatchBreakdown(prevTabs, currTabs).score;
     }
 
     groupTabsByWindow(tabs) {
@@ -130,51 +335,61 @@ export class URLMatcher {
         const currentTabsByWindow = this.groupTabsByWindow(currentTabs);
 
         // Calculate all pairwise scores
-        const scores = [];
-        for (const orphanWin of orphanWindows) {
-            for (const currWin of currentWindows) {
-                const score = this.calculateMatchScore(
-                    orphanTabsByWindow[orphanWin.id] || [],
-                    currentTabsByWindow[currWin.id] || []
-                );
-                scores.push({
-                    orphanWindow: orphanWin,
-                    currentWindow: currWin,
-                    score
-                });
-            }
-        }
+        const breakdowns = orphanWindows.map(orphanWin => currentWindows.map(currWin =>
+            this.getMatchBreakdown(
+                orphanTabsByWindow[orphanWin.id] || [],
+                currentTabsByWindow[currWin.id] || []
+            )
+        ));
 
-        // Sort by score descending
-        scores.sort((a, b) => b.score - a.score);
+        // Optimal matching - each window can only be matched once, and pairs below the
+        // threshold count for nothing so they're never preferred over leaving both unmatched
+        const assignment = findOptimalAssignment(breakdowns.map(row =>
+            row.map(({ score }) => (score >= this.threshold ? score : 0))
+        ));
 
-        // Greedy matching - each window can only be matched once
         const matched = [];
         const usedOrphan = new Set();
         const usedCurrent = new Set();
 
-        const MATCH_THRESHOLD = 0.35;
-
-        for (const { orphanWindow, currentWindow, score } of scores) {
-            if (score < MATCH_THRESHOLD) continue;
-            if (usedOrphan.has(orphanWindow.id) || usedCurrent.has(currentWindow.id)) continue;
+        assignment.forEach((col, row) => {
+            if (col === -1) return;
+            const { score, components } = breakdowns[row][col];
+            if (score < this.threshold) return;
 
+            const orphanWindow = orphanWindows[row];
+            const currentWindow = currentWindows[col];
             matched.push({
                 orphanWindow,
                 currentWindow,
                 confidence: score,
+                components,
                 orphanTabs: orphanTabsByWindow[orphanWindow.id] || [],
                 currentTabs: currentTabsByWindow[currentWindow.id] || []
             });
 
             usedOrphan.add(orphanWindow.id);
             usedCurrent.add(currentWindow.id);
-        }
+        });
 
         // Identify unmatched
         const unmatchedOrphans = orphanWindows.filter(w => !usedOrphan.has(w.id));
         const unmatchedCurrent = currentWindows.filter(w => !usedCurrent.has(w.id));
 
-        return { matched, unmatchedOrphans, unmatchedCurrent };
+        // All pairwise scores, best first, so matches can be explained and corrected by hand
+        const candidates = [];
+        orphanWindows.forEach((orphanWin, row) => {
+            currentWindows.forEach((currWin, col) => {
+                candidates.push({
+                    orphanWindowId: orphanWin.id,
+                    currentWindowId: currWin.id,
+                    score: breakdowns[row][col].score,
+                    components: breakdowns[row][col].components
+                });
+            });
+        });
+        candidates.sort((a, b) => b.score - a.score);
+
+        return { matched, unmatchedOrphans, unmatchedCurrent, candidates };
     }
 }
@@ -6,9 +6,179 @@ export function getSafeFaviconUrl(url) {
     return url;
 }
 
+// Where a tab lived before it was closed, so it can be reopened into the same window and group
+export async function getClosedTabContext(db, tab) {
+    const window = await db.getWindow(tab.windowId);
+
+    let group = null;
+    if (tab.groupId !== undefined && tab.groupId !== -1) {
+        group = await db.getTabGroup(tab.groupId);
+        if (!group) {
+            try {
+                group = await chrome.tabGroups.get(tab.groupId);
+            } catch (e) {
+                // Group no longer exists
+            }
+        }
+    }
+
+    return {
+        windowId: tab.windowId,
+        windowTitle: window?.title || "",
+        groupTitle: group?.title || "",
+        groupColor: group?.color || "",
+        pinned: tab.pinned || false,
+        index: tab.index
+    };
+}
+
+// Current tabs, groups and title of a window, in the shape anchor configs store them
+export async function captureAnchorWindowState(db, windowId) {
+    const tabs = await chrome.tabs.query({ windowId });
+    let tabGroups = [];
+    try {
+        tabGroups = await chrome.tabGroups.query({ windowId });
+    } catch (e) {
+        // Tab groups API not available
+    }
+
+    const windowData = await db.getWindow(windowId);
+
+    // Get timeAccumulated and timeFocused for each tab from DB
+    const tabsWithTime = await Promise.all(tabs.map(async (tab) => {
+        const dbTab = await db.getTab(tab.id);
+        return {
+            url: tab.url || tab.pendingUrl || "",
+            title: tab.title || "",
+            faviconUrl: tab.favIconUrl || "",
+            index: tab.index,
+            pinned: tab.pinned || false,
+            groupId: tab.groupId || -1,
+            timeAccumulated: dbTab?.timeAccumulated || 0,
+            timeFocused: dbTab?.timeFocused || 0
+        };
+    }));
+
+    return {
+        windowTitle: windowData?.title || "",
+        tabs: tabsWithTime,
+        tabGroups: tabGroups.map(g => ({
+            id: g.id,
+            title: g.title || "",
+            color: g.color,
+            collapsed: g.collapsed
+        }))
+    };
+}
+
+// Opens a new window with the given tabs and tab groups, as stored by saved windows and
+// session snapshots: tabs are { url, pinned, groupId }, groups are { id, title, color, collapsed }.
+// With a title, the new window is also given that title. Returns the new window's ID.
+export async function restoreWindowLayout(db, { tabs, tabGroups = [], title = null }) {
+    const firstTab = tabs[0];
+    const tabIdMap = new Map(); // Maps old groupId to array of new tab ids
+    const newWindow = await withTabBudgetSuspended(async () => {
+        // Create new window with the first tab
+        const window = await chrome.windows.create({
+            url: firstTab?.url || "chrome://newtab",
+            focused: true
+        });
+
+        // Create remaining tabs
+        for (let i = 1; i < tabs.length; i++) {
+            const tabData = tabs[i];
+            const newTab = await chrome.tabs.create({
+                windowId: window.id,
+                url: tabData.url,
+                pinned: tabData.pinned,
+                index: tabData.index ?? i
+            });
+
+            // Track tabs by their original groupId for group recreation
+            if (tabData.groupId && tabData.groupId !== -1) {
+                if (!tabIdMap.has(tabData.groupId)) {
+                    tabIdMap.set(tabData.groupId, []);
+                }
+                tabIdMap.get(tabData.groupId).push(newTab.id);
+            }
+        }
+        return window;
+    });
+
+    // Handle first tab's group membership
+    if (firstTab?.groupId && firstTab.groupId !== -1) {
+        const firstTabId = (await chrome.tabs.query({ windowId: newWindow.id }))[0].id;
+        if (!tabIdMap.has(firstTab.groupId)) {
+            tabIdMap.set(firstTab.groupId, []);
+        }
+        tabIdMap.get(firstTab.groupId).unshift(firstTabId);
+    }
+
+    // Recreate tab groups
+    for (const savedGroup of tabGroups) {
+        const tabIds = tabIdMap.get(savedGroup.id);
+        if (tabIds && tabIds.length > 0) {
+            const groupId = await chrome.tabs.group({
+                tabIds,
+                createProperties: { windowId: newWindow.id }
+            });
+            await chrome.tabGroups.update(groupId, {
+                title: savedGroup.title,
+                color: savedGroup.color,
+                collapsed: savedGroup.collapsed
+            });
+        }
+    }
+
+    if (title) {
+        // Wait for the onCreated listener to add the window to the DB before titling it
+        for (let retries = 10; retries > 0; retries--) {
+            if (await db.getWindow(newWindow.id)) {
+                await db.updateWindow(newWindow.id, { title });
+                break;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    }
+
+    return newWindow.id;
+}
+
+// Tab budget enforcement is held off while a restore opens tabs, so reopening a window or
+// closed tabs never closes, parks or suspends other tabs to make room. Restores can overlap,
+// so this is a count, and it lingers briefly for onCreated events still being handled.
+let tabBudgetSuspensions = 0;
+let tabBudgetSuspendedUntil = 0;
+const TAB_BUDGET_RESUME_DELAY_MS = 2000;
+
+// Runs fn with tab budget enforcement suspended, returning its result
+export async function withTabBudgetSuspended(fn) {
+    tabBudgetSuspensions++;
+    try {
+        return await fn();
+    } finally {
+        tabBudgetSuspensions--;
+        tabBudgetSuspendedUntil = Date.now() + TAB_BUDGET_RESUME_DELAY_MS;
+    }
+}
+
+export function isTabBudgetSuspended() {
+    return tabBudgetSuspensions > 0 || Date.now() < tabBudgetSuspendedUntil;
+}
+
 // Debounced badge update
 let badgeUpdateTimeout = null;
 const BADGE_DEBOUNCE_MS = 500;
+const BADGE_COLOR = "#6366f1";
+const BADGE_WARNING_COLOR = "#dc2626";
+let badgeWarning = false;
+
+// Turn the badge red while the tab budget is exceeded
+export function setBadgeWarning(isWarning) {
+    if (badgeWarning === isWarning) return;
+    badgeWarning = isWarning;
+    chrome.action.setBadgeBackgroundColor({ color: badgeWarning ? BADGE_WARNING_COLOR : BADGE_COLOR });
+}
 
 // Update badge with current tab count (debounced)
 export function updateBadge() {
@@ -22,7 +192,7 @@ export function updateBadge() {
         badgeUpdateTimeout = null;
         const tabs = await chrome.tabs.query({});
         chrome.action.setBadgeText({ text: String(tabs.length) });
-        chrome.action.setBadgeBackgroundColor({ color: "#6366f1" });
+        chrome.action.setBadgeBackgroundColor({ color: badgeWarning ? BADGE_WARNING_COLOR : BADGE_COLOR });
     }, BADGE_DEBOUNCE_MS);
 }
 
@@ -36,5 +206,5 @@ export async function updateBadgeImmediate() {
 
     const tabs = await chrome.tabs.query({});
     chrome.action.setBadgeText({ text: String(tabs.length) });
-    chrome.action.setBadgeBackgroundColor({ color: "#6366f1" });
+    chrome.action.setBadgeBackgroundColor({ color: badgeWarning ? BADGE_WARNING_COLOR : BADGE_COLOR });
 }
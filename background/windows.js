@@ -24,13 +24,12 @@ export function registerWindowListeners(db, timeTracker, getSessionId) {
             delayInMinutes: WINDOW_REMOVAL_DELAY_MINUTES
         });
 
-        // If the closed window was the anchor window, clear the active ID
+        // If the closed window was an anchor window, untie its config from the window
         // (but keep the anchor config preserved for next recovery)
-        const activeAnchorWindowId = await db.getSetting('activeAnchorWindowId');
-        // Use == for type coercion (DB might store as string or number)
-        if (activeAnchorWindowId && activeAnchorWindowId == windowId) {
-            console.log("[TabSentry] Anchor window closed, clearing active ID");
-            await db.setSetting('activeAnchorWindowId', null);
+        const anchorConfig = await db.getAnchorWindowByWindowId(windowId);
+        if (anchorConfig) {
+            console.log("[TabSentry] Anchor window closed, clearing its window ID:", anchorConfig.id);
+            await db.updateAnchorWindow(anchorConfig.id, { windowId: null });
         }
     });
 
@@ -58,6 +58,15 @@ function formatLastAccessed(timestamp) {
   return new Date(timestamp).toLocaleDateString();
 }
 
+function formatDuration(ms) {
+  const totalMinutes = Math.floor((ms || 0) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
 function sortTabs(tabs, sortBy) {
   const sorted = [...tabs];
   switch (sortBy) {
@@ -120,13 +129,18 @@ async function loadAllData() {
     const windows = await chrome.windows.getAll({ populate: true });
     allWindows = windows.filter(w => w.type === 'normal');
 
+    // Staleness and focused time are tracked in the DB, not by Chrome
+    const dbTabs = new Map((await db.getNonOrphanTabs()).map(t => [t.id, t]));
+
     // Flatten all tabs
     allTabs = [];
     for (const window of allWindows) {
       for (const tab of window.tabs || []) {
         allTabs.push({
           ...tab,
-          windowId: window.id
+          windowId: window.id,
+          timeAccumulated: dbTabs.get(tab.id)?.timeAccumulated || 0,
+          timeFocused: dbTabs.get(tab.id)?.timeFocused || 0
         });
       }
     }
@@ -361,7 +375,9 @@ function renderTabs() {
         </div>
         <div class="tab-item-meta">
           ${tab.pinned ? '<span class="tab-item-badge pinned">Pinned</span>' : ''}
-          <span class="tab-item-time">${formatLastAccessed(tab.lastAccessed)}</span>
+          ${tab.discarded ? '<span class="tab-item-badge discarded" title="Unloaded from memory, reloads when opened">Suspended</span>' : ''}
+          ${tab.timeFocused > 0 ? `<span class="tab-item-time" title="Time focused">${formatDuration(tab.timeFocused)} focused</span>` : ''}
+          <span class="tab-item-time" title="Stale for ${formatDuration(tab.timeAccumulated)}">${formatLastAccessed(tab.lastAccessed)}</span>
         </div>
         <button class="tab-item-close" data-tab-id="${tab.id}" title="Close tab">
           <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
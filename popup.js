@@ -1,5 +1,11 @@
 import DB from './background/db.js';
 import { checkForRecovery } from './recovery-ui.js';
+import {
+  matchFilter,
+  filterUsesTabMetadata,
+  loadTabContextLookups,
+  buildTabContext
+} from './background/filter-conditions.js';
 
 const db = new DB();
 
@@ -14,6 +20,7 @@ function getSafeFaviconUrl(url) {
 let currentSort = 'recent';
 let currentView = 'all';
 let currentFilter = null; // null means "All Tabs"
+let filterLookups = null; // Group/window/nickname lookups, loaded when currentFilter needs them
 
 // Built-in Chats filter for the floating chat button
 const CHATS_FILTER = {
@@ -31,7 +38,7 @@ const CHATS_FILTER = {
   ]
 };
 let showTimeAccumulated = true;
-let tabTimeData = new Map(); // Map of tabId -> timeAccumulated
+let tabTimeData = new Map(); // Map of tabId -> { timeAccumulated, timeFocused }
 let nicknamesMap = new Map(); // Map of url -> nickname
 let bookmarkedUrls = new Set(); // Set of bookmarked URLs
 let pinnedOnTop = false; // Whether to show pinned tabs at the top in All Tabs view
@@ -315,8 +322,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   initSearch();
   initKeyboardNavigation();
   initSmartOrganizerBanner();
+  initAutoClosePreview();
   initContextMenu();
   initExpandButton();
+  initUndoToast();
 
   // Focus search input by default
   const searchInput = document.querySelector('.search-input');
@@ -435,6 +444,105 @@ async function initSmartOrganizerBanner() {
   });
 }
 
+// Auto-Close Preview: shows what the next auto-close checks will close
+const AUTO_CLOSE_PREVIEW_WINDOW_MS = 2 * 60 * 60 * 1000; // Show tabs closing within 2 hours
+const AUTO_CLOSE_PREVIEW_MAX_ITEMS = 10;
+const AUTO_CLOSE_SNOOZE_MS = 24 * 60 * 60 * 1000; // Snooze for 1 day
+
+function initAutoClosePreview() {
+  const container = document.getElementById('autoclose-preview');
+  const toggle = document.getElementById('autoclose-preview-toggle');
+  const list = document.getElementById('autoclose-preview-list');
+  if (!container || !toggle || !list) return;
+
+  const toggleList = () => {
+    container.classList.toggle('expanded');
+    list.classList.toggle('hidden');
+  };
+
+  toggle.addEventListener('click', toggleList);
+  toggle.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      toggleList();
+    }
+  });
+
+  list.addEventListener('click', async (e) => {
+    const item = e.target.closest('.autoclose-preview-item');
+    if (!item) return;
+    const tabId = parseInt(item.dataset.tabId);
+
+    if (e.target.closest('.autoclose-preview-snooze')) {
+      const response = await chrome.runtime.sendMessage({ type: 'SNOOZE_TAB', tabId, durationMs: AUTO_CLOSE_SNOOZE_MS });
+      showToast(response?.success ? 'Snoozed for 1 day' : 'Could not snooze tab');
+      await loadAutoClosePreview();
+    } else if (e.target.closest('.autoclose-preview-protect')) {
+      const response = await chrome.runtime.sendMessage({ type: 'PROTECT_TAB', tabId, protected: true });
+      showToast(response?.success ? 'Tab will never be auto-closed' : 'Could not protect tab');
+      await loadAutoClosePreview();
+    } else if (e.target.closest('.autoclose-preview-tab-title')) {
+      const windowId = parseInt(item.dataset.windowId);
+      await chrome.tabs.update(tabId, { active: true });
+      await chrome.windows.update(windowId, { focused: true });
+    }
+  });
+
+  loadAutoClosePreview();
+}
+
+async function loadAutoClosePreview() {
+  const container = document.getElementById('autoclose-preview');
+  const list = document.getElementById('autoclose-preview-list');
+  const count = document.getElementById('autoclose-preview-count');
+  if (!container || !list || !count) return;
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'GET_AUTO_CLOSE_PREVIEW' });
+  } catch (error) {
+    console.error('[TabSentry] Failed to load auto-close preview:', error);
+    return;
+  }
+
+  const tabs = response?.success
+    ? response.tabs.filter(t => t.due || t.timeRemainingMs <= AUTO_CLOSE_PREVIEW_WINDOW_MS)
+    : [];
+
+  if (tabs.length === 0) {
+    container.classList.add('hidden');
+    return;
+  }
+
+  count.textContent = tabs.length;
+  count.title = response.pausedReason ? `Auto-close on hold: ${response.pausedReason}` : '';
+  list.innerHTML = tabs.slice(0, AUTO_CLOSE_PREVIEW_MAX_ITEMS).map(tab => {
+    let remaining = tab.due
+      ? 'Next check'
+      : `in ${formatTimeAccumulated(tab.timeRemainingMs)}`;
+    // Due tabs wait while the schedule holds closures back
+    if (tab.due && response.pausedReason) {
+      remaining = 'On hold';
+    }
+
+    return `
+      <div class="autoclose-preview-item" data-tab-id="${tab.id}" data-window-id="${tab.windowId}">
+        <img class="autoclose-preview-favicon" src="${getSafeFaviconUrl(tab.faviconUrl)}" alt="">
+        <span class="autoclose-preview-tab-title" title="${escapeHtml(tab.url)}">${escapeHtml(tab.title || tab.url)}</span>
+        <span class="autoclose-preview-remaining ${tab.due ? 'due' : ''}">${remaining}</span>
+        <button class="autoclose-preview-btn autoclose-preview-snooze" title="Snooze for 1 day">
+          <i class="fa-regular fa-alarm-snooze"></i>
+        </button>
+        <button class="autoclose-preview-btn autoclose-preview-protect" title="Never auto-close">
+          <i class="fa-regular fa-shield-check"></i>
+        </button>
+      </div>
+    `;
+  }).join('');
+
+  container.classList.remove('hidden');
+}
+
 // Initialize Welcome Modal for first-time users
 async function initWelcomeModal() {
   const modal = document.getElementById('welcome-modal');
@@ -488,7 +596,10 @@ async function loadTabTimeData() {
   tabTimeData.clear();
   const allDbTabs = await db.getNonOrphanTabs();
   allDbTabs.forEach(tab => {
-    tabTimeData.set(tab.id, tab.timeAccumulated || 0);
+    tabTimeData.set(tab.id, {
+      timeAccumulated: tab.timeAccumulated || 0,
+      timeFocused: tab.timeFocused || 0
+    });
   });
 }
 
@@ -580,6 +691,15 @@ function formatTimeAccumulated(ms) {
   return `${minutes}m`;
 }
 
+// Staleness (time since the tab was last opened) and the time it was actually focused
+function getTabTimeHtml(tabId) {
+  const { timeAccumulated = 0, timeFocused = 0 } = tabTimeData.get(tabId) || {};
+  const focusedHtml = timeFocused > 0
+    ? `<span class="tab-time-focused" title="Time focused">${formatTimeAccumulated(timeFocused)} focused</span>`
+    : '';
+  return `<span class="tab-time-accumulated" title="Time since last opened">${formatTimeAccumulated(timeAccumulated)}</span>${focusedHtml}`;
+}
+
 function initSortMenu() {
   const sortItems = document.querySelectorAll('#sort-menu [data-sort]');
   sortItems.forEach(item => {
@@ -641,7 +761,9 @@ function updateViewMenuSelection() {
       'all': { icon: 'fa-grid-2', name: 'All Tabs' },
       'windows': { icon: 'fa-window-restore', name: 'Windows' },
       'bookmarked': { icon: 'fa-bookmark', name: 'Bookmarked' },
-      'nicknamed': { icon: 'fa-at', name: 'Nicknamed' }
+      'nicknamed': { icon: 'fa-at', name: 'Nicknamed' },
+      'duplicates': { icon: 'fa-clone', name: 'Duplicates' },
+      'journal': { icon: 'fa-clock-rotate-left', name: 'Action History' }
     };
     const config = viewConfig[currentView] || viewConfig['all'];
     viewLabel.innerHTML = `<i class="fa-regular ${config.icon} view-label-icon"></i>${config.name}`;
@@ -747,6 +869,7 @@ function initFilterMenu() {
       });
       if (response.success) {
         currentFilter = response.filter;
+        await loadFilterLookups();
         if (filterLabel) filterLabel.innerHTML = `<i class="fa-regular fa-filter filter-label-icon"></i>${escapeHtml(response.filter.name)}`;
         updateFilterBanner(response.filter.name);
       }
@@ -808,50 +931,22 @@ function initExpandButton() {
   });
 }
 
-// Filter matching logic (simplified version for popup)
-function normalizeUrl(url) {
-  if (!url) return '';
-  return url
-    .replace(/^https?:\/\//, '')
-    .replace(/\/\*$/, '')
-    .replace(/\/$/, '')
-    .toLowerCase();
+// Loads the tab metadata (group, window, nickname, bookmarks...) used by filters
+// that match on more than URL and title
+async function loadFilterLookups() {
+  filterLookups = null;
+  if (!currentFilter || !filterUsesTabMetadata(currentFilter)) return;
+  try {
+    filterLookups = await loadTabContextLookups(db);
+  } catch (e) {
+    console.error('Error loading filter lookups:', e);
+  }
 }
 
+// Filter matching logic (shared with the background FilterEngine)
 function matchTabWithFilter(tab, filter) {
   if (!filter) return true; // No filter = match all
-
-  const { property, operator, value, values } = filter;
-
-  // Support both single value and array of values
-  const valueList = values && Array.isArray(values) && values.length > 0
-    ? values
-    : (value ? [value] : []);
-
-  if (valueList.length === 0) return true;
-
-  let tabValue;
-  if (property === 'url') {
-    tabValue = normalizeUrl(tab.url);
-  } else if (property === 'title') {
-    tabValue = (tab.title || '').toLowerCase();
-  } else {
-    return true;
-  }
-
-  // Check if any value in the list matches (OR logic)
-  return valueList.some(val => {
-    const filterValue = property === 'url'
-      ? normalizeUrl(val)
-      : val.toLowerCase();
-
-    if (operator === 'equals') {
-      return tabValue === filterValue;
-    } else if (operator === 'includes') {
-      return tabValue.includes(filterValue);
-    }
-    return false;
-  });
+  return matchFilter(filterLookups ? buildTabContext(tab, filterLookups) : tab, filter);
 }
 
 function applyFilter(tabs) {
@@ -973,6 +1068,12 @@ function loadCurrentView() {
     case 'nicknamed':
       loadNicknamedView();
       break;
+    case 'duplicates':
+      loadDuplicatesView();
+      break;
+    case 'journal':
+      loadJournalView();
+      break;
     case 'all':
     default:
       loadTabs();
@@ -1060,6 +1161,7 @@ async function loadTabs() {
       const tabItem = document.createElement('div');
       tabItem.className = 'tab-item';
       if (tab.pinned) tabItem.classList.add('pinned-tab');
+      if (tab.discarded) tabItem.classList.add('discarded-tab');
 
       const lastAccessed = tab.lastAccessed
         ? formatLastAccessed(tab.lastAccessed)
@@ -1067,10 +1169,7 @@ async function loadTabs() {
 
       const favicon = getSafeFaviconUrl(tab.favIconUrl);
 
-      const timeAccumulated = showTimeAccumulated ? tabTimeData.get(tab.id) || 0 : 0;
-      const timeAccumulatedHtml = showTimeAccumulated
-        ? `<span class="tab-time-accumulated" title="Time accumulated">${formatTimeAccumulated(timeAccumulated)}</span>`
-        : '';
+      const timeAccumulatedHtml = showTimeAccumulated ? getTabTimeHtml(tab.id) : '';
 
       const pinIconHtml = tab.pinned
         ? '<svg class="pin-icon" width="10" height="10" viewBox="0 0 16 16" fill="none"><path d="M9.5 2L14 6.5L12 8.5L12.5 12.5L8 8L3.5 12.5L4 8.5L2 6.5L6.5 2L8 3.5L9.5 2Z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>'
@@ -1094,6 +1193,7 @@ async function loadTabs() {
         ${pinIconHtml}
         ${bookmarkIconHtml}
         ${audibleIconHtml}
+        ${tab.discarded ? DISCARDED_ICON_HTML : ''}
         <img class="tab-favicon" src="${favicon}" alt="">
         ${nicknameHtml}
         <span class="tab-title">${highlightSearchMatch(tab.title || 'Untitled')}</span>
@@ -1426,6 +1526,244 @@ function updateNicknameStats(count) {
   if (tabsCount) tabsCount.textContent = count;
 }
 
+async function loadDuplicatesView() {
+  const tabList = document.getElementById('tab-list');
+  tabList.innerHTML = '<div class="loading-state">Finding duplicate tabs...</div>';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_DUPLICATE_GROUPS' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    await Promise.all([loadNicknames(), loadBookmarkedUrls(), loadTabTimeData()]);
+
+    const windows = await db.getNonOrphanWindows();
+    const windowTitles = new Map(windows.map((w, i) => [w.id, w.title || `Window ${i + 1}`]));
+
+    let groups = response.groups;
+
+    // Apply search filter
+    if (currentSearchQuery) {
+      const query = currentSearchQuery.toLowerCase();
+      groups = groups.filter(group => group.tabs.some(tab =>
+        (tab.title && tab.title.toLowerCase().includes(query)) ||
+        (tab.url && tab.url.toLowerCase().includes(query))
+      ));
+    }
+
+    // Apply current filter
+    if (currentFilter) {
+      groups = groups.filter(group => group.tabs.some(tab => matchTabWithFilter(tab, currentFilter)));
+    }
+
+    tabList.innerHTML = '';
+
+    if (groups.length === 0) {
+      tabList.innerHTML = '<div class="empty-state">No duplicate tabs found</div>';
+      updateDuplicateStats(0);
+      return;
+    }
+
+    const extraCount = groups.reduce((sum, group) => sum + group.tabs.length - 1, 0);
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'duplicates-toolbar';
+    toolbar.innerHTML = `
+      <span class="duplicates-summary">${extraCount} extra ${extraCount === 1 ? 'copy' : 'copies'} across ${groups.length} ${groups.length === 1 ? 'page' : 'pages'}</span>
+      <button class="duplicates-merge-btn" title="Keep the most recently used copy of every page">
+        <i class="fa-regular fa-merge"></i> Merge all
+      </button>
+    `;
+    toolbar.querySelector('.duplicates-merge-btn').addEventListener('click', () => {
+      mergeDuplicateTabs(groups.flatMap(group => group.tabs.map(tab => tab.id)));
+    });
+    tabList.appendChild(toolbar);
+
+    groups.forEach(group => {
+      const groupEl = document.createElement('div');
+      groupEl.className = 'duplicate-group';
+
+      const header = document.createElement('div');
+      header.className = 'duplicate-group-header';
+      header.innerHTML = `
+        <span class="duplicate-group-url" title="${escapeHtml(group.key)}">${escapeHtml(truncateUrl(group.key))}</span>
+        <span class="duplicate-group-count">${group.tabs.length}</span>
+        <button class="duplicate-group-merge-btn" title="Keep a pinned copy, or the most recently used one">Merge</button>
+      `;
+      header.querySelector('.duplicate-group-merge-btn').addEventListener('click', () => {
+        mergeDuplicateTabs(group.tabs.map(tab => tab.id));
+      });
+      groupEl.appendChild(header);
+
+      // Tabs arrive most recently accessed first. A merge keeps a pinned copy if there
+      // is one, otherwise the first, and never closes pinned tabs
+      const keep = group.tabs.find(t => t.pinned) || group.tabs[0];
+      group.tabs.forEach(tab => {
+        const tabItem = createTabItem({ ...tab, favIconUrl: tab.faviconUrl });
+        if (tab.id === keep.id || tab.pinned) tabItem.classList.add('duplicate-keep');
+
+        const windowLabel = document.createElement('span');
+        windowLabel.className = 'duplicate-window-label';
+        windowLabel.textContent = windowTitles.get(tab.windowId) || 'Window';
+        tabItem.appendChild(windowLabel);
+
+        groupEl.appendChild(tabItem);
+      });
+
+      tabList.appendChild(groupEl);
+    });
+
+    updateDuplicateStats(extraCount);
+  } catch (error) {
+    console.error('[TabSentry] Error loading duplicates:', error);
+    tabList.innerHTML = `<div class="empty-state">Error loading duplicates: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+async function mergeDuplicateTabs(tabIds) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'MERGE_DUPLICATES', tabIds });
+    if (response?.success) {
+      const message = `Closed ${response.closed} duplicate ${response.closed === 1 ? 'tab' : 'tabs'}`;
+      const entryId = response.journalEntryId;
+      showToast(message, entryId ? { label: 'Undo', onClick: () => revertJournalEntry(entryId) } : null);
+    } else {
+      showToast('Failed to merge duplicates');
+    }
+  } catch (error) {
+    console.error('[TabSentry] Error merging duplicates:', error);
+    showToast('Failed to merge duplicates');
+  }
+  loadDuplicatesView();
+}
+
+function updateDuplicateStats(count) {
+  const tabsCount = document.querySelectorAll('.stat-value')[1];
+  if (tabsCount) tabsCount.textContent = count;
+}
+
+// Action history: moves, closes, group assignments, merges and apply-filters batches TabSentry did on its own
+const JOURNAL_TYPE_ICONS = {
+  move: 'fa-arrow-right-arrow-left',
+  close: 'fa-xmark',
+  group: 'fa-object-group',
+  merge: 'fa-merge',
+  'apply-filters': 'fa-filter'
+};
+
+// Actions newer than this get an Undo toast when the popup opens
+const UNDO_TOAST_WINDOW_MS = 5 * 60 * 1000;
+
+// Apply-filters entries can only be undone until their batch expires
+function isUndoable(entry) {
+  return !entry.revertedAt && !(entry.expiresAt <= Date.now());
+}
+
+async function getLatestUndoableAction() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ACTION_JOURNAL', limit: 1 });
+    const entry = response?.success ? response.entries[0] : null;
+    return entry && isUndoable(entry) ? entry : null;
+  } catch (error) {
+    console.error('[TabSentry] Error loading action journal:', error);
+    return null;
+  }
+}
+
+async function initUndoToast() {
+  const entry = await getLatestUndoableAction();
+  if (!entry || Date.now() - entry.createdAt > UNDO_TOAST_WINDOW_MS) return;
+
+  showToast(entry.description, { label: 'Undo', onClick: () => revertJournalEntry(entry.id) });
+}
+
+async function loadJournalView() {
+  const tabList = document.getElementById('tab-list');
+  tabList.innerHTML = '<div class="loading-state">Loading action history...</div>';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ACTION_JOURNAL', limit: 100 });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    let entries = response.entries;
+
+    // Apply search filter
+    if (currentSearchQuery) {
+      const query = currentSearchQuery.toLowerCase();
+      entries = entries.filter(entry =>
+        entry.description.toLowerCase().includes(query) ||
+        entry.tabs.some(tab =>
+          (tab.title && tab.title.toLowerCase().includes(query)) ||
+          (tab.url && tab.url.toLowerCase().includes(query))
+        )
+      );
+    }
+
+    tabList.innerHTML = '';
+
+    if (entries.length === 0) {
+      tabList.innerHTML = '<div class="empty-state">No actions recorded yet</div>';
+      updateJournalStats(0);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const firstTab = entry.tabs[0];
+      const moreCount = entry.tabs.length - 1;
+      const tabLabel = firstTab ? (firstTab.title || firstTab.url) : '';
+
+      const item = document.createElement('div');
+      item.className = 'journal-item';
+      if (entry.revertedAt) item.classList.add('journal-reverted');
+      item.innerHTML = `
+        <i class="fa-regular ${JOURNAL_TYPE_ICONS[entry.type] || 'fa-circle'} journal-icon"></i>
+        <div class="journal-details">
+          <div class="journal-description">${escapeHtml(entry.description)}</div>
+          <div class="journal-tabs">${escapeHtml(tabLabel)}${moreCount > 0 ? ` +${moreCount} more` : ''}</div>
+        </div>
+        <span class="journal-time">${formatLastAccessed(entry.createdAt)}</span>
+        ${entry.revertedAt
+          ? '<span class="journal-undone">Undone</span>'
+          : isUndoable(entry)
+            ? '<button class="journal-undo-btn">Undo</button>'
+            : '<span class="journal-undone">Expired</span>'}
+      `;
+      item.querySelector('.journal-undo-btn')?.addEventListener('click', () => {
+        revertJournalEntry(entry.id);
+      });
+      tabList.appendChild(item);
+    });
+
+    updateJournalStats(entries.length);
+  } catch (error) {
+    console.error('[TabSentry] Error loading action history:', error);
+    tabList.innerHTML = `<div class="empty-state">Error loading action history: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+async function revertJournalEntry(entryId) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'REVERT_ACTION', entryId });
+    if (response?.success) {
+      showToast(`Undid action on ${response.count} ${response.count === 1 ? 'tab' : 'tabs'}`);
+    } else {
+      showToast(response?.error || 'Failed to undo action');
+    }
+  } catch (error) {
+    console.error('[TabSentry] Error undoing action:', error);
+    showToast('Failed to undo action');
+  }
+  loadCurrentView();
+}
+
+function updateJournalStats(count) {
+  const tabsCount = document.querySelectorAll('.stat-value')[1];
+  if (tabsCount) tabsCount.textContent = count;
+}
+
 function formatLastAccessed(timestamp) {
   const now = Date.now();
   const diff = now - timestamp;
@@ -1529,15 +1867,15 @@ async function loadWindowsView() {
     // Get window data (title, lastAccessed, createdAt) from DB
     const windowData = await getWindowData(windows.map(w => w.id));
 
-    // Get anchor window info
-    let anchorWindowId = null;
+    // Get anchor windows info
+    let anchorWindowIds = new Set();
     try {
-      const anchorResponse = await chrome.runtime.sendMessage({ type: 'GET_ANCHOR_WINDOW' });
-      if (anchorResponse.success && anchorResponse.activeAnchorWindowId) {
-        anchorWindowId = anchorResponse.activeAnchorWindowId;
+      const anchorResponse = await chrome.runtime.sendMessage({ type: 'GET_ANCHOR_WINDOWS' });
+      if (anchorResponse.success) {
+        anchorWindowIds = new Set(anchorResponse.anchorWindowIds);
       }
     } catch (e) {
-      console.error('[TabSentry] Failed to get anchor window:', e);
+      console.error('[TabSentry] Failed to get anchor windows:', e);
     }
 
     tabList.innerHTML = '';
@@ -1572,30 +1910,12 @@ async function loadWindowsView() {
       return bTime - aTime; // Most recent first
     });
 
-    // Separate anchor window from other windows
-    const anchorWindow = anchorWindowId ? sortedWindows.find(w => w.id === anchorWindowId) : null;
-    const otherWindows = sortedWindows.filter(w => w.id !== anchorWindowId);
+    // Anchor windows come first (after pinned container), then the rest
+    const anchorWindows = sortedWindows.filter(w => anchorWindowIds.has(w.id));
+    const otherWindows = sortedWindows.filter(w => !anchorWindowIds.has(w.id));
 
-    // Render anchor window first (after pinned container)
-    if (anchorWindow) {
-      const windowTitle = windowData[anchorWindow.id]?.title || '';
-      const windowTitleMatches = currentSearchQuery &&
-        windowTitle.toLowerCase().includes(currentSearchQuery);
-
-      let filteredTabs = applyFilter(anchorWindow.tabs || []);
-      if (!windowTitleMatches) {
-        filteredTabs = applySearch(filteredTabs);
-      }
-      // Always show anchor window unless filter/search completely hides it
-      if (!((currentFilter || currentSearchQuery) && filteredTabs.length === 0 && !windowTitleMatches)) {
-        const filteredWindow = { ...anchorWindow, tabs: filteredTabs };
-        const windowEl = createWindowGroup(filteredWindow, 0, tabGroupMap, windowTitle, true);
-        tabList.appendChild(windowEl);
-      }
-    }
-
-    // Render other windows
-    otherWindows.forEach((window, index) => {
+    [...anchorWindows, ...otherWindows].forEach((window, index) => {
+      const isAnchor = anchorWindowIds.has(window.id);
       const windowTitle = windowData[window.id]?.title || '';
 
       // Check if window title matches search query
@@ -1614,9 +1934,9 @@ async function loadWindowsView() {
       if ((currentFilter || currentSearchQuery) && filteredTabs.length === 0 && !windowTitleMatches) return;
 
       // Create a copy of window with filtered tabs
-      const filteredWindow = { ...window, tabs: filteredTabs };
+      const filteredWindow = { ...window, tabs: filteredTabs, suspendExempt: windowData[window.id]?.suspendExempt };
 
-      const windowEl = createWindowGroup(filteredWindow, index + (anchorWindow ? 1 : 0), tabGroupMap, windowTitle, false);
+      const windowEl = createWindowGroup(filteredWindow, index, tabGroupMap, windowTitle, isAnchor);
       tabList.appendChild(windowEl);
     });
 
@@ -1733,9 +2053,12 @@ function createWindowGroup(window, index, tabGroupMap, customTitle, isAnchor = f
     </div>
     <div class="window-group-meta">
       <span class="window-tab-count">${tabCount} tab${tabCount !== 1 ? 's' : ''}</span>
-      <button class="window-anchor-btn ${isAnchor ? 'active' : ''}" title="${isAnchor ? 'Remove anchor' : 'Set as anchor window'}">
+      <button class="window-anchor-btn ${isAnchor ? 'active' : ''}" title="${isAnchor ? 'Remove anchor' : 'Anchor this window (always restore it)'}">
         <i class="fa-regular fa-anchor"></i>
       </button>
+      <button class="window-suspend-btn ${window.suspendExempt ? 'active' : ''}" title="${window.suspendExempt ? 'Allow suspending tabs in this window' : 'Never suspend tabs in this window'}">
+        <i class="fa-regular fa-moon"></i>
+      </button>
       <button class="window-edit-btn" title="Edit window title" data-window-id="${window.id}">
         <svg width="12" height="12" viewBox="0 0 16 16" fill="none">
           <path d="M11.5 2.5L13.5 4.5L5 13H3V11L11.5 2.5Z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
@@ -1770,10 +2093,10 @@ function createWindowGroup(window, index, tabGroupMap, customTitle, isAnchor = f
     try {
       let response;
       if (isAnchor) {
-        // Remove anchor designation
-        response = await chrome.runtime.sendMessage({ type: 'CLEAR_ANCHOR_WINDOW' });
+        // Remove anchor designation from this window only
+        response = await chrome.runtime.sendMessage({ type: 'CLEAR_ANCHOR_WINDOW', windowId: window.id });
       } else {
-        // Set this window as anchor
+        // Add this window to the anchor windows
         response = await chrome.runtime.sendMessage({ type: 'SET_ANCHOR_WINDOW', windowId: window.id });
       }
 
@@ -1788,6 +2111,26 @@ function createWindowGroup(window, index, tabGroupMap, customTitle, isAnchor = f
     }
   });
 
+  // Suspend exemption button handler
+  header.querySelector('.window-suspend-btn').addEventListener('click', async (e) => {
+    e.stopPropagation();
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SET_WINDOW_SUSPEND_EXEMPT',
+        windowId: window.id,
+        exempt: !window.suspendExempt
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+      showToast(window.suspendExempt ? 'Tabs in this window can be suspended' : 'Tabs in this window will never be suspended');
+      loadWindowsView();
+    } catch (error) {
+      console.error('[TabSentry] Failed to toggle suspend exemption:', error);
+      showToast('Could not change suspend setting for this window');
+    }
+  });
+
   // Focus button handler
   header.querySelector('.window-focus-btn').addEventListener('click', (e) => {
     e.stopPropagation();
@@ -2148,12 +2491,16 @@ function createTabGroup(groupInfo, tabs) {
   return tabGroup;
 }
 
+// Shown on tabs suspended (discarded) to free memory
+const DISCARDED_ICON_HTML = '<i class="fa-regular fa-moon discarded-icon" title="Suspended"></i>';
+
 function createTabItem(tab, isInGroup = false) {
   const tabItem = document.createElement('div');
   tabItem.className = 'tab-item';
   if (isInGroup) tabItem.classList.add('in-group');
   if (tab.active) tabItem.classList.add('active-tab');
   if (tab.pinned) tabItem.classList.add('pinned-tab');
+  if (tab.discarded) tabItem.classList.add('discarded-tab');
 
   // Make tab draggable in windows view
   if (currentView === 'windows') {
@@ -2228,10 +2575,7 @@ function createTabItem(tab, isInGroup = false) {
 
   const favicon = getSafeFaviconUrl(tab.favIconUrl);
 
-  const timeAccumulated = showTimeAccumulated ? tabTimeData.get(tab.id) || 0 : 0;
-  const timeAccumulatedHtml = showTimeAccumulated
-    ? `<span class="tab-time-accumulated" title="Time accumulated">${formatTimeAccumulated(timeAccumulated)}</span>`
-    : '';
+  const timeAccumulatedHtml = showTimeAccumulated ? getTabTimeHtml(tab.id) : '';
 
   const isBookmarked = bookmarkedUrls.has(tab.url);
   const bookmarkIconHtml = isBookmarked
@@ -2251,6 +2595,7 @@ function createTabItem(tab, isInGroup = false) {
     ${tab.pinned ? '<svg class="pin-icon" width="10" height="10" viewBox="0 0 16 16" fill="none"><path d="M9.5 2L14 6.5L12 8.5L12.5 12.5L8 8L3.5 12.5L4 8.5L2 6.5L6.5 2L8 3.5L9.5 2Z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>' : ''}
     ${bookmarkIconHtml}
     ${audibleIconHtml}
+    ${tab.discarded ? DISCARDED_ICON_HTML : ''}
     <img class="tab-favicon" src="${favicon}" alt="">
     ${nicknameHtml}
     <span class="tab-title">${highlightSearchMatch(tab.title || 'Untitled')}</span>
@@ -2513,6 +2858,19 @@ function showContextMenu(x, y, tab) {
     bookmarkBtn.classList.toggle('active', isBookmarked);
   }
 
+  // Update protect button based on whether the URL is protected from auto-close
+  const protectBtn = contextMenu.querySelector('[data-action="protect"]');
+  const protectBtnText = protectBtn?.querySelector('span');
+  protectBtn?.classList.remove('active');
+  if (protectBtnText) protectBtnText.textContent = 'Never Auto-Close';
+  db.getProtectedUrl(tab.url).then(isProtected => {
+    if (contextMenuTabId !== tab.id) return;
+    if (protectBtnText) {
+      protectBtnText.textContent = isProtected ? 'Allow Auto-Close' : 'Never Auto-Close';
+    }
+    protectBtn?.classList.toggle('active', !!isProtected);
+  });
+
   // Position menu within viewport bounds
   contextMenu.classList.remove('hidden');
 
@@ -2581,6 +2939,9 @@ async function handleContextMenuAction(action) {
     case 'bookmark':
       await handleBookmarkAction(tabData);
       break;
+    case 'protect':
+      await handleProtectAction(tabId, tabData);
+      break;
     case 'move':
       // Move action is handled by submenu hover
       return;
@@ -2605,6 +2966,21 @@ async function handlePinAction(tabId, tabData) {
   }
 }
 
+async function handleProtectAction(tabId, tabData) {
+  try {
+    const isProtected = !!(await db.getProtectedUrl(tabData.url));
+    const response = await chrome.runtime.sendMessage({ type: 'PROTECT_TAB', tabId, protected: !isProtected });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    showToast(isProtected ? 'Tab can be auto-closed again' : 'Tab will never be auto-closed');
+    loadAutoClosePreview();
+  } catch (error) {
+    console.error('[TabSentry] Failed to toggle auto-close protection:', error);
+    showToast('Could not change auto-close protection');
+  }
+}
+
 async function handleNicknameAction(tabId, tabData) {
   const currentNickname = await getNickname(tabData.url);
   showNicknameModal(tabId, tabData, currentNickname);
@@ -3155,25 +3531,46 @@ async function handleCopyAction(action) {
   }
 }
 
-function showToast(message) {
+let toastTimeout = null;
+
+// action is an optional { label, onClick } shown as a button; the toast stays up longer with one
+function showToast(message, action = null) {
   const toast = document.getElementById('toast');
   const toastMessage = toast?.querySelector('.toast-message');
   if (!toast || !toastMessage) return;
 
   toastMessage.textContent = message;
+
+  const actionBtn = toast.querySelector('.toast-action');
+  if (actionBtn) {
+    actionBtn.classList.toggle('hidden', !action);
+    actionBtn.textContent = action?.label || '';
+    actionBtn.onclick = action ? () => {
+      hideToast();
+      action.onClick();
+    } : null;
+  }
+
   toast.classList.remove('hidden');
 
   // Trigger reflow to restart animation
   void toast.offsetWidth;
   toast.classList.add('show');
 
-  // Auto-hide after 2 seconds
-  setTimeout(() => {
-    toast.classList.remove('show');
-    setTimeout(() => {
-      toast.classList.add('hidden');
-    }, 200);
-  }, 2000);
+  // Auto-hide after 2 seconds, or 5 when there's something to click
+  clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(hideToast, action ? 5000 : 2000);
+}
+
+function hideToast() {
+  const toast = document.getElementById('toast');
+  if (!toast) return;
+
+  clearTimeout(toastTimeout);
+  toast.classList.remove('show');
+  toastTimeout = setTimeout(() => {
+    toast.classList.add('hidden');
+  }, 200);
 }
 
 async function showNewWindowModal() {
@@ -1,9 +1,22 @@
+// Names of the window matching score components, in display order
+const MATCH_COMPONENT_LABELS = {
+    domains: 'Domains',
+    paths: 'Paths',
+    exactUrls: 'Exact URLs',
+    tabCount: 'Tab count',
+    titles: 'Titles',
+    groups: 'Groups',
+    tabOrder: 'Tab order'
+};
+
 export class RecoveryUI {
     constructor() {
         this.banner = document.getElementById('recovery-banner');
         this.matchedContainer = document.getElementById('matched-windows');
         this.unmatchedContainer = document.getElementById('unmatched-windows');
         this.dismissBtn = document.getElementById('dismiss-recovery');
+        this.currentWindows = [];
+        this.matched = [];
 
         this.dismissBtn?.addEventListener('click', () => this.dismiss());
     }
@@ -25,6 +38,11 @@ export class RecoveryUI {
 
         if (!hasMatched && !hasUnmatched) return;
 
+        // Results saved before manual matching existed have no window list to pick from
+        this.currentWindows = recoveryResult.currentWindows || [];
+        this.matchThreshold = recoveryResult.matchThreshold ?? null;
+        this.matched = recoveryResult.matched || [];
+
         this.renderMatched(recoveryResult.matched || []);
         this.renderUnmatched(recoveryResult.unmatchedOrphans || []);
         this.banner.classList.remove('hidden');
@@ -47,6 +65,7 @@ export class RecoveryUI {
                 </svg>
                 <span>TabSentry automatically matched ${matched.length} window(s):</span>
             </div>
+            ${this.currentWindows.length > 0 ? '<div class="matched-hint">Wrong match? Pick the right window, or split it off. The window title and suspend exemption are taken back; pinned tabs and group names stay as they are.</div>' : ''}
             <ul class="matched-list">
                 ${matched.map((m, idx) => `
                     <li class="matched-item">
@@ -57,12 +76,29 @@ export class RecoveryUI {
                                 </svg>
                             </button>
                             <span class="matched-title">${this.escapeHtml(m.title || 'Untitled Window')}</span>
-                            <span class="matched-confidence">${Math.round(m.confidence * 100)}% match</span>
+                            <span class="matched-confidence" title="${this.escapeHtml(this.formatBreakdown(m.components))}">${Math.round(m.confidence * 100)}% match${m.manual ? ' (manual)' : ''}</span>
                             <span class="matched-tabs">${m.tabCount} tabs</span>
                         </div>
+                        ${this.currentWindows.length > 0 && m.windowId !== undefined ? `
+                            <div class="matched-edit" data-window-id="${m.windowId}">
+                                <select class="recovery-match-select" title="Window these tabs were matched to">
+                                    ${this.renderMatchOptions(m, m.currentWindowId)}
+                                </select>
+                                <button class="btn-split" data-action="split" title="Split this window off the match (pinned tabs and group names are not reverted)">Split</button>
+                            </div>
+                        ` : ''}
+                        ${m.missingTabs?.length > 0 ? `
+                            <div class="matched-missing" data-window-id="${m.windowId}">
+                                <span>${m.missingTabs.length} tab${m.missingTabs.length !== 1 ? 's' : ''} didn't come back</span>
+                                <button class="btn-restore-missing" data-action="restore-missing" title="Reopen them in this window, in their original positions and groups">
+                                    Restore ${m.missingTabs.length} missing tab${m.missingTabs.length !== 1 ? 's' : ''} into this window
+                                </button>
+                            </div>
+                        ` : ''}
                         <ul class="tabs-list collapsed" id="matched-tabs-${idx}">
-                            ${(m.tabs || []).map(tab => `
-                                <li class="tab-preview-item">
+                            ${m.components ? `<li class="match-breakdown">${this.escapeHtml(this.formatBreakdown(m.components))}</li>` : ''}
+                            ${this.markMissingTabs(m).map(tab => `
+                                <li class="tab-preview-item ${tab.missing ? 'tab-missing' : ''}" ${tab.missing ? 'title="Missing from this window"' : ''}>
                                     <img class="tab-favicon" src="${this.escapeHtml(tab.faviconUrl) || 'icons/default-favicon.png'}" alt="">
                                     <span class="tab-preview-title" title="${this.escapeHtml(tab.url)}">${this.escapeHtml(tab.title || tab.url || 'New Tab')}</span>
                                 </li>
@@ -75,6 +111,163 @@ export class RecoveryUI {
         this.matchedContainer.innerHTML = html;
         this.bindFaviconErrorHandlers(this.matchedContainer);
         this.bindTabsToggle(this.matchedContainer);
+        this.bindMatchEditing(this.matchedContainer);
+    }
+
+    // "Domains 80% · Paths 60% · ..." for a score breakdown
+    formatBreakdown(components) {
+        if (!components) return '';
+        return Object.entries(MATCH_COMPONENT_LABELS)
+            .filter(([component]) => components[component] !== undefined)
+            .map(([component, label]) => `${label} ${Math.round(components[component] * 100)}%`)
+            .join(' · ');
+    }
+
+    // Explains why an unmatched window wasn't paired with the most similar open window
+    renderClosestCandidate(entry) {
+        const closest = (entry.candidates || [])[0];
+        if (!closest) return '';
+
+        const currentWindow = this.currentWindows.find(w => w.windowId === closest.windowId);
+        const name = currentWindow ? `"${currentWindow.label}"` : 'an open window';
+        let reason = '';
+        if (this.matchThreshold !== null) {
+            reason = closest.score >= this.matchThreshold
+                ? ', a better match for another window'
+                : `, ${Math.round(this.matchThreshold * 100)}% needed`;
+        }
+        return `
+            <li class="match-breakdown">
+                Closest: ${this.escapeHtml(name)} at ${Math.round(closest.score * 100)}%${reason}<br>
+                ${this.escapeHtml(this.formatBreakdown(closest.components))}
+            </li>
+        `;
+    }
+
+    // Open windows, best scoring first, as options for pairing an orphan window by hand
+    renderMatchOptions(entry, selectedWindowId = null) {
+        const scores = new Map((entry.candidates || []).map(c => [c.windowId, c.score]));
+        const takenWindowIds = new Set(this.matched
+            .filter(m => m.windowId !== entry.windowId)
+            .map(m => m.currentWindowId));
+
+        const windows = [...this.currentWindows].sort((a, b) =>
+            (scores.get(b.windowId) || 0) - (scores.get(a.windowId) || 0)
+        );
+
+        const placeholder = selectedWindowId === null ? '<option value="" selected disabled>Match to...</option>' : '';
+        return placeholder + windows.map(w => {
+            const score = Math.round((scores.get(w.windowId) || 0) * 100);
+            const merge = takenWindowIds.has(w.windowId) ? ' - merge' : '';
+            return `<option value="${w.windowId}" ${w.windowId === selectedWindowId ? 'selected' : ''}>${this.escapeHtml(w.label)} (${w.tabCount} tabs) ${score}%${merge}</option>`;
+        }).join('');
+    }
+
+    bindMatchEditing(container) {
+        container.querySelectorAll('.recovery-match-select').forEach(select => {
+            select.addEventListener('change', async () => {
+                const windowEl = select.closest('[data-window-id]');
+                const orphanWindowId = parseInt(windowEl.dataset.windowId, 10);
+                await this.assignMatch(orphanWindowId, parseInt(select.value, 10));
+            });
+        });
+
+        container.querySelectorAll('button[data-action="restore-missing"]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const windowEl = btn.closest('[data-window-id]');
+                const label = btn.textContent;
+                btn.disabled = true;
+                btn.textContent = 'Restoring...';
+                if (!await this.restoreMissingTabs(parseInt(windowEl.dataset.windowId, 10))) {
+                    btn.disabled = false;
+                    btn.textContent = label;
+                }
+            });
+        });
+
+        container.querySelectorAll('button[data-action="split"]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const windowEl = btn.closest('[data-window-id]');
+                await this.splitMatch(parseInt(windowEl.dataset.windowId, 10));
+            });
+        });
+    }
+
+    async assignMatch(orphanWindowId, currentWindowId) {
+        try {
+            const result = await chrome.runtime.sendMessage({
+                type: 'ASSIGN_RECOVERY_MATCH',
+                orphanWindowId,
+                currentWindowId
+            });
+
+            if (result?.success) {
+                this.show(result.result);
+            } else {
+                alert('Failed to match window: ' + (result?.error || 'Unknown error'));
+            }
+        } catch (error) {
+            alert('Failed to match window: ' + error.message);
+        }
+    }
+
+    async restoreMissingTabs(orphanWindowId) {
+        try {
+            const result = await chrome.runtime.sendMessage({
+                type: 'RESTORE_MISSING_TABS',
+                orphanWindowId
+            });
+
+            if (result?.success) {
+                this.show(result.result);
+                if (result.failed > 0) {
+                    alert(`${result.failed} tab${result.failed !== 1 ? 's' : ''} could not be reopened and ${result.failed !== 1 ? 'are' : 'is'} still listed as missing.`);
+                }
+                return true;
+            }
+            alert('Failed to restore missing tabs: ' + (result?.error || 'No response from background'));
+        } catch (error) {
+            alert('Failed to restore missing tabs: ' + error.message);
+        }
+        return false;
+    }
+
+    // Flags the matched window's tabs that are missing now; each missing entry marks one tab
+    markMissingTabs(entry) {
+        const missingCounts = new Map();
+        for (const tab of entry.missingTabs || []) {
+            missingCounts.set(tab.url, (missingCounts.get(tab.url) || 0) + 1);
+        }
+
+        // Later copies of a URL are the missing ones, the same way the diff pairs them
+        const seenCounts = new Map();
+        const totalCounts = new Map();
+        for (const tab of entry.tabs || []) {
+            totalCounts.set(tab.url, (totalCounts.get(tab.url) || 0) + 1);
+        }
+        return (entry.tabs || []).map(tab => {
+            const seen = (seenCounts.get(tab.url) || 0) + 1;
+            seenCounts.set(tab.url, seen);
+            const missing = seen > totalCounts.get(tab.url) - (missingCounts.get(tab.url) || 0);
+            return { ...tab, missing };
+        });
+    }
+
+    async splitMatch(orphanWindowId) {
+        try {
+            const result = await chrome.runtime.sendMessage({
+                type: 'SPLIT_RECOVERY_MATCH',
+                orphanWindowId
+            });
+
+            if (result?.success) {
+                this.show(result.result);
+            } else {
+                alert('Failed to split window: ' + (result?.error || 'Unknown error'));
+            }
+        } catch (error) {
+            alert('Failed to split window: ' + error.message);
+        }
     }
 
     bindFaviconErrorHandlers(container) {
@@ -134,12 +327,18 @@ export class RecoveryUI {
                                 <span class="unmatched-meta">${w.tabCount} tabs</span>
                             </div>
                             <div class="unmatched-actions">
+                                ${this.currentWindows.length > 0 ? `
+                                    <select class="recovery-match-select" title="These tabs are already open in another window">
+                                        ${this.renderMatchOptions(w)}
+                                    </select>
+                                ` : ''}
                                 <button class="btn-restore" data-action="restore">Restore</button>
                                 <button class="btn-discard" data-action="discard">Discard</button>
                                 <button class="btn-keep" data-action="keep">Keep for Later</button>
                             </div>
                         </div>
                         <ul class="tabs-list collapsed" id="unmatched-tabs-${idx}">
+                            ${this.renderClosestCandidate(w)}
                             ${(w.tabs || []).map(tab => `
                                 <li class="tab-preview-item">
                                     <img class="tab-favicon" src="${this.escapeHtml(tab.faviconUrl) || 'icons/default-favicon.png'}" alt="">
@@ -155,6 +354,7 @@ export class RecoveryUI {
         this.bindFaviconErrorHandlers(this.unmatchedContainer);
         this.bindUnmatchedActions();
         this.bindTabsToggle(this.unmatchedContainer);
+        this.bindMatchEditing(this.unmatchedContainer);
     }
 
     bindUnmatchedActions() {
@@ -255,9 +455,11 @@ export class RecoveryUI {
         const remaining = this.unmatchedContainer.querySelectorAll('.unmatched-window');
         if (remaining.length === 0) {
             this.unmatchedContainer.classList.add('hidden');
-            // If no unmatched windows left, check if we should hide the whole banner
-            // Keep showing if there were matched windows (informational)
-            // User can dismiss manually
+            // Matched windows keep the banner up until it is dismissed; with none, the
+            // background has already cleared the recovery result
+            if (this.matched.length === 0) {
+                this.hide();
+            }
         }
     }
 
@@ -1,4 +1,20 @@
 import DB from './background/db.js';
+import { DEFAULT_SCHEDULE, getScheduleState } from './background/schedule.js';
+import {
+  getFilterConditionTree,
+  getPositiveConditions,
+  getConditionValues,
+  isConditionGroup,
+  toStoredConditions,
+  validateConditionValue,
+  validateConditionTree,
+  getPropertyType,
+  parseBooleanValue,
+  FILTER_PROPERTIES,
+  URL_ONLY_OPERATORS,
+  getFilterActions
+} from './background/filter-conditions.js';
+import { createFilterPack, readFilterPack, getUniqueFilterName } from './background/filter-packs.js';
 
 const db = new DB();
 
@@ -10,8 +26,15 @@ const defaultSettings = {
   protectPinnedTabs: true,
   keepOpenThreshold: 5,
   thresholdScope: 'browser-wide',
+  autoSuspendEnabled: false,
+  autoSuspendTimeLimit: 4,
   quickAccumulate: false,
   showTimeAccumulated: true,
+  // Tab Budget
+  tabBudgetEnabled: false,
+  tabBudgetMax: 30,
+  tabBudgetScope: 'window-wide',
+  tabBudgetPolicy: 'warn',
   // Appearance
   raisePinnedTabs: false,
   showRecentSearches: true,
@@ -20,6 +43,20 @@ const defaultSettings = {
   aiTaggingEnabled: false,
   // Smart Organizer
   smartOrganizerEnabled: false,
+  // Duplicate Tabs
+  autoCloseDuplicates: false,
+  duplicateIgnoreQuery: false,
+  duplicateIgnoreFragment: true,
+  duplicateIgnoreTrackingParams: true,
+  // Session Recovery
+  matchThreshold: 35,
+  matchWeightDomains: 30,
+  matchWeightPaths: 25,
+  matchWeightExactUrls: 15,
+  matchWeightTabCount: 10,
+  matchWeightTitles: 10,
+  matchWeightGroups: 5,
+  matchWeightTabOrder: 5,
   // Backup
   backupMethod: [],
   backupContent: ['everything'],
@@ -36,8 +73,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   initCheckboxes();
   initActionButtons();
   initBackButton();
+  initScheduleUI();
   await loadFilters();
   initFilterUI();
+  initApplyFiltersUI();
 });
 
 // Load all settings from the database
@@ -82,6 +121,8 @@ async function loadAllSettings() {
       checkbox.checked = values.includes(checkbox.value);
     });
   }
+
+  await loadSchedule();
 }
 
 // Navigation between sections
@@ -155,6 +196,11 @@ function initToggleSwitches() {
   toggles.forEach(toggle => {
     toggle.addEventListener('change', async () => {
       const settingName = toggle.dataset.setting;
+      if (settingName === 'autoSuspendEnabled' && toggle.checked && !isSuspendBeforeClose()) {
+        toggle.checked = false;
+        alert(SUSPEND_AFTER_CLOSE_MESSAGE);
+        return;
+      }
       await db.setSetting(settingName, toggle.checked);
     });
   });
@@ -170,16 +216,36 @@ function initNumberInputs() {
       const value = parseInt(input.value, 10);
 
       // Ensure value is within bounds
-      const min = parseInt(input.min, 10) || 1;
+      const min = input.min !== '' ? parseInt(input.min, 10) : 1;
       const max = parseInt(input.max, 10) || 9999;
       const clampedValue = Math.max(min, Math.min(max, value));
 
       input.value = clampedValue;
+
+      const isTimeLimit = settingName === 'autoSuspendTimeLimit' || settingName === 'autoCloseTimeLimit';
+      if (isTimeLimit && !isSuspendBeforeClose()) {
+        const savedValue = await db.getSetting(settingName);
+        input.value = savedValue !== null ? savedValue : defaultSettings[settingName];
+        alert(SUSPEND_AFTER_CLOSE_MESSAGE);
+        return;
+      }
+
       await db.setSetting(settingName, clampedValue);
     });
   });
 }
 
+const SUSPEND_AFTER_CLOSE_MESSAGE = 'Suspend After must be less than the Auto-Close time limit, or tabs are closed before they are ever suspended';
+
+// Suspending is a no-op unless it happens before the tab would be auto-closed.
+// Only matters while auto-suspend is on.
+function isSuspendBeforeClose() {
+  if (!document.querySelector('[data-setting="autoSuspendEnabled"]').checked) return true;
+  const suspendLimit = parseInt(document.querySelector('[data-setting="autoSuspendTimeLimit"]').value, 10);
+  const closeLimit = parseInt(document.querySelector('[data-setting="autoCloseTimeLimit"]').value, 10);
+  return suspendLimit < closeLimit;
+}
+
 // Dropdowns auto-save
 function initDropdowns() {
   const dropdowns = document.querySelectorAll('.select-dropdown[data-setting]');
@@ -274,6 +340,10 @@ async function handleBackupNow() {
       backupData.data.nicknames = nicknames;
     }
 
+    if (backupEverything || backupContent.includes('schedule')) {
+      backupData.data.schedule = await db.getSetting('autoCloseSchedule') || DEFAULT_SCHEDULE;
+    }
+
     // Export based on format
     if (exportFormats.includes('json')) {
       const jsonString = JSON.stringify(backupData, null, 2);
@@ -331,6 +401,10 @@ async function handleRestoreFile(event) {
       if (backupData.data.nicknames && db.db.nicknames) {
         await db.db.nicknames.bulkPut(backupData.data.nicknames);
       }
+
+      if (backupData.data.schedule) {
+        await db.setSetting('autoCloseSchedule', backupData.data.schedule);
+      }
     }
 
     // Reload settings to reflect changes
@@ -393,9 +467,9 @@ async function restoreWindows(data) {
   const openWindows = await chrome.windows.getAll();
   const openWindowIds = new Set(openWindows.map(w => w.id));
 
-  // Get current anchor window info
-  const anchorResponse = await chrome.runtime.sendMessage({ type: 'GET_ANCHOR_WINDOW' });
-  const currentAnchorWindowId = anchorResponse?.success ? anchorResponse.activeAnchorWindowId : null;
+  // Get current anchor windows info
+  const anchorResponse = await chrome.runtime.sendMessage({ type: 'GET_ANCHOR_WINDOWS' });
+  const currentAnchorWindowIds = new Set(anchorResponse?.success ? anchorResponse.anchorWindowIds : []);
 
   for (const backupWindow of data) {
     const windowId = backupWindow._windowId;
@@ -411,13 +485,10 @@ async function restoreWindows(data) {
 
     // Set as anchor window if anchored: 1
     if (backupWindow.anchored === 1) {
-      // Skip if this window is already the anchor
-      if (currentAnchorWindowId === windowId) continue;
-
-      // Clear current anchor window and snapshots first
-      await chrome.runtime.sendMessage({ type: 'CLEAR_ANCHOR_WINDOW' });
+      // Skip if this window is already an anchor
+      if (currentAnchorWindowIds.has(windowId)) continue;
 
-      // Set new anchor window
+      // Add it to the anchor windows
       await chrome.runtime.sendMessage({
         type: 'SET_ANCHOR_WINDOW',
         windowId
@@ -466,14 +537,12 @@ async function restoreFilters(data) {
       property: condition.property,
       operator: condition.operator,
       values: values,
+      conditions: filter.conditions,
       smartWindowAction: 'none'
     };
 
-    await db.db.filters.add({
-      ...filterData,
-      createdAt: Date.now(),
-      updatedAt: Date.now()
-    });
+    // Restored filters go to the bottom of the priority list
+    await db.addFilter(filterData);
   }
 }
 
@@ -551,22 +620,18 @@ async function loadFilters() {
     }
 
     filterList.innerHTML = response.filters.map(filter => {
-      // Support both single value (backwards compatibility) and array of values
-      const values = filter.values && filter.values.length > 0
-        ? filter.values
-        : (filter.value ? [filter.value] : []);
-      const valuesDisplay = values.map(v => `"${escapeHtml(v)}"`).join(', ');
-
       return `
-      <div class="filter-item" data-filter-id="${filter.id}">
+      <div class="filter-item" data-filter-id="${filter.id}" draggable="true">
+        <i class="fa-regular fa-grip-vertical filter-drag-handle" title="Drag to change priority"></i>
         <div class="filter-info">
           <span class="filter-name">${escapeHtml(filter.name)}</span>
           <span class="filter-condition">
-            ${filter.property} ${filter.operator} ${valuesDisplay}
-          </span>
-          <span class="filter-action-badge filter-action-${filter.smartWindowAction}">
-            ${getActionLabel(filter.smartWindowAction)}
+            ${escapeHtml(describeConditionTree(getFilterConditionTree(filter), true))}
           </span>
+          ${getActionBadges(filter)}
+          ${getAutoClosePolicyBadge(filter.autoClosePolicy)}
+          ${filter.suspendExempt ? '<span class="filter-action-badge filter-policy-never">Never suspend</span>' : ''}
+          <div class="filter-stats"></div>
         </div>
         <div class="filter-actions">
           <button class="filter-edit-btn" title="Edit filter">
@@ -602,27 +667,297 @@ async function loadFilters() {
         }
       });
     });
+
+    // Stats search history, so they fill in after the list is shown
+    loadFilterStats();
   } catch (e) {
     filterList.innerHTML = '<div class="empty-state">Error loading filters</div>';
     console.error('[TabSentry] Failed to load filters:', e);
   }
 }
 
+// Fills in each filter's activity line and flags filters that look unused
+async function loadFilterStats() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_FILTER_STATS' });
+    if (!response?.success) return;
+
+    document.querySelectorAll('#filter-list .filter-item').forEach(item => {
+      const stats = response.filters[item.dataset.filterId];
+      const statsEl = item.querySelector('.filter-stats');
+      if (!stats || !statsEl) return;
+
+      statsEl.innerHTML = renderFilterStats(stats, response.days.length);
+      item.classList.toggle('filter-unused', stats.noRecentMatches || stats.unusedValues.length > 0);
+    });
+  } catch (e) {
+    console.error('[TabSentry] Failed to load filter stats:', e);
+  }
+}
+
+function renderFilterStats(stats, days) {
+  const lastFired = stats.lastFiredAt ? `last fired ${formatTimeAgo(stats.lastFiredAt)}` : 'never fired';
+  const warnings = [];
+  if (stats.noRecentMatches) {
+    warnings.push(`<span class="filter-stats-warning">No matches in ${days} days</span>`);
+  }
+  if (stats.unusedValues.length > 0) {
+    const shown = stats.unusedValues.slice(0, 3).join(', ');
+    const more = stats.unusedValues.length > 3 ? ` and ${stats.unusedValues.length - 3} more` : '';
+    const allValues = escapeHtml(stats.unusedValues.join(', ')).replace(/"/g, '&quot;');
+    warnings.push(`<span class="filter-stats-warning" title="${allValues}">Not in recent history: ${escapeHtml(shown)}${more}</span>`);
+  }
+
+  return `
+    ${renderSparkline(stats.daily)}
+    <span class="filter-stats-counts">${stats.matches} matches · ${stats.moves} moves · ${stats.closes} closes in ${days} days · ${lastFired}</span>
+    ${warnings.join('')}
+  `;
+}
+
+// Bar chart of daily activity, oldest day on the left
+function renderSparkline(values) {
+  const barWidth = 3;
+  const height = 16;
+  const max = Math.max(...values, 1);
+  const bars = values.map((value, i) => {
+    const barHeight = value > 0 ? Math.max(2, Math.round(value / max * height)) : 1;
+    return `<rect x="${i * barWidth}" y="${height - barHeight}" width="${barWidth - 1}" height="${barHeight}"${value > 0 ? '' : ' class="empty"'}></rect>`;
+  }).join('');
+
+  return `<svg class="filter-sparkline" width="${values.length * barWidth}" height="${height}" viewBox="0 0 ${values.length * barWidth} ${height}">${bars}</svg>`;
+}
+
+function formatTimeAgo(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
 function getActionLabel(action) {
   switch (action) {
     case 'move': return 'Auto-move';
+    case 'group': return 'Auto-group';
     case 'delete': return 'Auto-close';
+    case 'pin': return 'Auto-pin';
+    case 'mute': return 'Auto-mute';
+    case 'discard': return 'Auto-suspend';
+    case 'bookmark': return 'Auto-bookmark';
+    case 'nickname': return 'Auto-nickname';
     default: return 'Filter only';
   }
 }
 
+// Drag-to-reorder for #filter-list. The list order is the filter priority.
+function initFilterReorder() {
+  const filterList = document.getElementById('filter-list');
+  if (!filterList) return;
+
+  let draggedItem = null;
+  let orderBeforeDrag = '';
+  const getFilterIds = () => Array.from(filterList.querySelectorAll('.filter-item'))
+    .map(item => parseInt(item.dataset.filterId));
+
+  filterList.addEventListener('dragstart', (e) => {
+    draggedItem = e.target.closest('.filter-item');
+    if (!draggedItem) return;
+    orderBeforeDrag = getFilterIds().join(',');
+    draggedItem.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+  });
+
+  filterList.addEventListener('dragover', (e) => {
+    if (!draggedItem) return;
+    e.preventDefault();
+    const target = e.target.closest('.filter-item');
+    if (!target || target === draggedItem) return;
+
+    const rect = target.getBoundingClientRect();
+    const insertAfter = e.clientY > rect.top + rect.height / 2;
+    filterList.insertBefore(draggedItem, insertAfter ? target.nextSibling : target);
+  });
+
+  filterList.addEventListener('drop', (e) => e.preventDefault());
+
+  filterList.addEventListener('dragend', async () => {
+    if (!draggedItem) return;
+    draggedItem.classList.remove('dragging');
+    draggedItem = null;
+
+    const filterIds = getFilterIds();
+    if (filterIds.join(',') === orderBeforeDrag) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'REORDER_FILTERS', filterIds });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+    } catch (e) {
+      console.error('[TabSentry] Failed to reorder filters:', e);
+      await loadFilters();
+    }
+  });
+}
+
+async function testFilters() {
+  const url = document.getElementById('filter-test-url').value.trim();
+  const title = document.getElementById('filter-test-title').value.trim();
+  const resultEl = document.getElementById('filter-test-result');
+  if (!url) return;
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'TEST_FILTERS', url, title });
+  } catch (e) {
+    console.error('[TabSentry] Failed to test filters:', e);
+    response = { success: false, error: e.message };
+  }
+  resultEl.classList.remove('hidden');
+  if (!response?.success) {
+    resultEl.innerHTML = `<div class="empty-state">Error: ${escapeHtml(response?.error || 'No response from background')}</div>`;
+    return;
+  }
+  if (response.matches.length === 0) {
+    resultEl.innerHTML = '<div class="empty-state">No filters match</div>';
+    return;
+  }
+
+  // Each matching filter, in priority order, with the actions it wins or loses
+  const matchesHtml = response.matches.map((match, i) => {
+    const actionsHtml = match.actions.map(action => {
+      const winner = response.actions.find(planned => planned.action === action);
+      if (winner?.filterId === match.id) {
+        return `<span class="filter-action-badge filter-action-${action}">${getActionLabel(action)}</span>`;
+      }
+      const reason = winner ? `Overridden by ${winner.filterName}` : 'Cancelled by a conflicting action';
+      return `<span class="filter-action-badge filter-action-none filter-action-overridden" title="${escapeHtml(reason).replace(/"/g, '&quot;')}">${getActionLabel(action)}</span>`;
+    }).join('');
+
+    return `
+      <div class="filter-test-match">
+        <span class="filter-test-rank">${i + 1}</span>
+        <span class="filter-name">${escapeHtml(match.name)}</span>
+        ${actionsHtml}
+      </div>
+    `;
+  }).join('');
+
+  const policy = response.autoClosePolicy;
+  const policyText = policy
+    ? `${policy.mode === 'never' ? 'Never auto-close' : `Closes after ${policy.timeLimit}h`} (from ${policy.filterName})`
+    : 'Global time limit';
+
+  resultEl.innerHTML = `
+    ${matchesHtml}
+    <div class="filter-test-policy">Auto-close: ${escapeHtml(policyText)}</div>
+  `;
+}
+
+function getActionBadges(filter) {
+  const actions = getFilterActions(filter);
+  if (actions.length === 0) {
+    return `<span class="filter-action-badge filter-action-none">${getActionLabel('none')}</span>`;
+  }
+  return actions.map(action => `
+    <span class="filter-action-badge filter-action-${action}">${getActionLabel(action)}</span>
+  `).join('');
+}
+
+function getAutoClosePolicyBadge(policy) {
+  if (!policy || !policy.mode || policy.mode === 'default') return '';
+  if (policy.mode === 'never') {
+    return '<span class="filter-action-badge filter-policy-never">Never auto-close</span>';
+  }
+  return `<span class="filter-action-badge filter-policy-custom">Closes after ${policy.timeLimit}h</span>`;
+}
+
+function setAutoClosePolicy(policy) {
+  const modeSelect = document.getElementById('filter-autoclose-mode');
+  const limitInput = document.getElementById('filter-autoclose-limit');
+  if (!modeSelect || !limitInput) return;
+
+  modeSelect.value = policy?.mode || 'default';
+  limitInput.value = policy?.timeLimit || 24;
+  updateAutoCloseLimitVisibility();
+}
+
+function getAutoClosePolicy() {
+  const mode = document.getElementById('filter-autoclose-mode')?.value || 'default';
+  if (mode === 'custom') {
+    const timeLimit = parseFloat(document.getElementById('filter-autoclose-limit').value);
+    return { mode, timeLimit };
+  }
+  return { mode };
+}
+
+function updateAutoCloseLimitVisibility() {
+  const isCustom = document.getElementById('filter-autoclose-mode')?.value === 'custom';
+  document.getElementById('filter-autoclose-limit')?.classList.toggle('hidden', !isCustom);
+  document.getElementById('filter-autoclose-unit')?.classList.toggle('hidden', !isCustom);
+}
+
+function setFilterActions(filter) {
+  const actions = filter ? getFilterActions(filter) : [];
+  document.querySelectorAll('#filter-actions input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = actions.includes(checkbox.value);
+  });
+  document.getElementById('filter-group-color').value = filter?.groupColor || 'grey';
+  document.getElementById('filter-nickname-template').value = filter?.nicknameTemplate || '';
+  loadBookmarkFolderOptions(filter?.bookmarkFolderId || '');
+  updateActionOptionsVisibility();
+}
+
+function getSelectedActions() {
+  return Array.from(document.querySelectorAll('#filter-actions input[type="checkbox"]:checked'))
+    .map(checkbox => checkbox.value);
+}
+
+// Shows the extra inputs (group colour, bookmark folder, nickname template) of checked actions
+function updateActionOptionsVisibility() {
+  const actions = getSelectedActions();
+  document.querySelectorAll('#filter-actions [data-action-options]').forEach(options => {
+    options.classList.toggle('hidden', !actions.includes(options.dataset.actionOptions));
+  });
+}
+
+// Fills the bookmark folder dropdown with every folder, shown by path
+async function loadBookmarkFolderOptions(selectedId) {
+  const select = document.getElementById('filter-bookmark-folder');
+  if (!select) return;
+
+  const folders = [];
+  const traverse = (node, path) => {
+    if (node.url) return;
+    const folderPath = node.title ? (path ? `${path}/${node.title}` : node.title) : path;
+    if (node.title) folders.push({ id: node.id, path: folderPath });
+    (node.children || []).forEach(child => traverse(child, folderPath));
+  };
+
+  try {
+    const tree = await chrome.bookmarks.getTree();
+    tree.forEach(root => traverse(root, ''));
+  } catch (e) {
+    console.error('[TabSentry] Failed to load bookmark folders:', e);
+  }
+
+  select.innerHTML = '<option value="">Other bookmarks</option>';
+  folders.forEach(folder => {
+    const option = document.createElement('option');
+    option.value = folder.id;
+    option.textContent = folder.path;
+    select.appendChild(option);
+  });
+  select.value = folders.some(folder => folder.id === selectedId) ? selectedId : '';
+}
+
 function initFilterUI() {
   const addBtn = document.getElementById('add-filter-btn');
   const modal = document.getElementById('filter-modal');
   const closeBtn = document.getElementById('filter-modal-close');
   const cancelBtn = document.getElementById('filter-modal-cancel');
   const saveBtn = document.getElementById('filter-modal-save');
-  const addValueBtn = document.getElementById('add-filter-value');
 
   if (!addBtn || !modal) return;
 
@@ -635,88 +970,339 @@ function initFilterUI() {
   });
 
   saveBtn?.addEventListener('click', () => saveFilter());
-  addValueBtn?.addEventListener('click', () => addFilterValueRow());
+  document.getElementById('filter-autoclose-mode')?.addEventListener('change', updateAutoCloseLimitVisibility);
+  document.getElementById('filter-actions')?.addEventListener('change', updateActionOptionsVisibility);
+  document.getElementById('filter-test-btn')?.addEventListener('click', testFilters);
+  document.getElementById('filter-test-url')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') testFilters();
+  });
+  initFilterReorder();
+  initFilterPackUI();
+}
+
+// Condition tree builder
+const REMOVE_ICON_SVG = `
+  <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+    <path d="M4 4L12 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+    <path d="M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+  </svg>
+`;
+
+// Negated operators are stored as { operator, negate: true }
+const CONDITION_OPERATORS = {
+  string: [
+    ['includes', 'includes any of'],
+    ['equals', 'equals any of'],
+    ['startsWith', 'starts with any of'],
+    ['endsWith', 'ends with any of'],
+    ['domain', 'is on domain'],
+    ['matchPattern', 'matches pattern'],
+    ['regex', 'matches regex'],
+    ['!includes', 'includes none of'],
+    ['!equals', 'equals none of'],
+    ['!domain', 'is not on domain'],
+    ['!regex', 'does not match regex']
+  ],
+  // Boolean conditions always store the value true; "is not" is a negated equals
+  boolean: [
+    ['equals', 'is true'],
+    ['!equals', 'is false']
+  ],
+  duration: [
+    ['greaterThan', 'is more than'],
+    ['lessThan', 'is less than']
+  ]
+};
+
+const OPERATOR_PLACEHOLDERS = {
+  greaterThan: 'Hours',
+  lessThan: 'Hours',
+  domain: 'e.g. x.com (also matches subdomains)',
+  matchPattern: 'e.g. *://*.google.com/*',
+  regex: 'e.g. github\\.com/.+/pull/\\d+'
+};
+
+const GROUP_OP_LABELS = {
+  and: 'all',
+  or: 'any',
+  not: 'none'
+};
+
+function setConditionTree(tree) {
+  const container = document.getElementById('filter-condition-tree');
+  if (!container) return;
+
+  showConditionError(null);
+  container.innerHTML = '';
+  container.appendChild(createConditionGroupElement(tree, true));
+}
+
+function createConditionGroupElement(group, isRoot = false) {
+  const groupEl = document.createElement('div');
+  groupEl.className = 'condition-group';
+  if (isRoot) groupEl.classList.add('condition-group-root');
+
+  groupEl.innerHTML = `
+    <div class="condition-group-header">
+      <span class="form-unit">Match</span>
+      <select class="form-select condition-group-op">
+        ${Object.entries(GROUP_OP_LABELS).map(([op, label]) => `
+          <option value="${op}" ${group.op === op ? 'selected' : ''}>${label}</option>
+        `).join('')}
+      </select>
+      <span class="form-unit">of:</span>
+      ${isRoot ? '' : `<button type="button" class="filter-value-remove condition-remove" title="Remove group">${REMOVE_ICON_SVG}</button>`}
+    </div>
+    <div class="condition-group-children"></div>
+    <div class="condition-group-footer">
+      <button type="button" class="btn-add-value condition-add-btn">
+        <i class="fa-regular fa-plus"></i>
+        Condition
+      </button>
+      <button type="button" class="btn-add-value condition-add-group-btn">
+        <i class="fa-regular fa-plus"></i>
+        Group
+      </button>
+    </div>
+  `;
+
+  const children = groupEl.querySelector('.condition-group-children');
+  const childNodes = group.conditions.length > 0 ? group.conditions : [createEmptyCondition()];
+  childNodes.forEach(child => {
+    children.appendChild(isConditionGroup(child)
+      ? createConditionGroupElement(child)
+      : createConditionRowElement(child));
+  });
+
+  // Scope handlers to this group's own header and footer, not nested groups
+  groupEl.querySelector(':scope > .condition-group-footer .condition-add-btn').addEventListener('click', () => {
+    children.appendChild(createConditionRowElement(createEmptyCondition()));
+  });
+  groupEl.querySelector(':scope > .condition-group-footer .condition-add-group-btn').addEventListener('click', () => {
+    children.appendChild(createConditionGroupElement({ op: 'or', conditions: [] }));
+  });
+  groupEl.querySelector(':scope > .condition-group-header .condition-remove')?.addEventListener('click', () => {
+    groupEl.remove();
+  });
+
+  return groupEl;
+}
+
+function createEmptyCondition() {
+  return { property: 'url', operator: 'includes', values: [''] };
+}
 
-  // Delegate click handler for remove buttons
-  const valuesContainer = document.getElementById('filter-values-container');
-  valuesContainer?.addEventListener('click', (e) => {
+function renderOperatorOptions(type, selected) {
+  return (CONDITION_OPERATORS[type] || CONDITION_OPERATORS.string).map(([value, label]) => `
+    <option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>
+  `).join('');
+}
+
+function createConditionRowElement(condition) {
+  const type = getPropertyType(condition.property) || 'string';
+  let negate = !!condition.negate;
+  // A stored "equals false" shows as "is false"
+  if (type === 'boolean' && !parseBooleanValue(getConditionValues(condition)[0] ?? true)) {
+    negate = !negate;
+  }
+  const operatorValue = negate ? `!${condition.operator}` : condition.operator;
+
+  const rowEl = document.createElement('div');
+  rowEl.className = 'condition-row';
+  rowEl.dataset.type = type;
+  rowEl.innerHTML = `
+    <div class="condition-builder">
+      <select class="form-select condition-property">
+        ${Object.entries(FILTER_PROPERTIES).map(([value, { label }]) => `
+          <option value="${value}" ${condition.property === value ? 'selected' : ''}>${label}</option>
+        `).join('')}
+      </select>
+      <select class="form-select condition-operator">
+        ${renderOperatorOptions(type, operatorValue)}
+      </select>
+      <button type="button" class="filter-value-remove condition-remove" title="Remove condition">${REMOVE_ICON_SVG}</button>
+    </div>
+    <div class="filter-values-container"></div>
+    <button type="button" class="btn-add-value condition-add-value-btn">
+      <i class="fa-regular fa-plus"></i>
+      Add another value
+    </button>
+  `;
+
+  const valuesContainer = rowEl.querySelector('.filter-values-container');
+  const values = type === 'boolean' ? [''] : getConditionValues(condition);
+  (values.length > 0 ? values : ['']).forEach(value => addFilterValueRow(valuesContainer, value));
+
+  const propertySelect = rowEl.querySelector('.condition-property');
+  const operatorSelect = rowEl.querySelector('.condition-operator');
+  const updateOperatorOptions = () => updateConditionOperatorOptions(propertySelect, operatorSelect, valuesContainer);
+  propertySelect.addEventListener('change', updateOperatorOptions);
+  operatorSelect.addEventListener('change', updateOperatorOptions);
+  valuesContainer.addEventListener('input', (e) => {
+    if (e.target.classList.contains('filter-value-input')) {
+      e.target.classList.remove('invalid');
+      e.target.title = '';
+    }
+  });
+  updateOperatorOptions();
+
+  rowEl.querySelector('.condition-add-value-btn').addEventListener('click', () => {
+    addFilterValueRow(valuesContainer);
+    updateOperatorOptions();
+  });
+
+  valuesContainer.addEventListener('click', (e) => {
     const removeBtn = e.target.closest('.filter-value-remove');
-    if (removeBtn) {
-      const row = removeBtn.closest('.filter-value-row');
-      const rows = valuesContainer.querySelectorAll('.filter-value-row');
-      // Keep at least one row
-      if (rows.length > 1) {
-        row.remove();
-      }
+    if (!removeBtn) return;
+    // Keep at least one row
+    if (valuesContainer.querySelectorAll('.filter-value-row').length > 1) {
+      removeBtn.closest('.filter-value-row').remove();
     }
   });
+
+  rowEl.querySelector(':scope > .condition-builder .condition-remove').addEventListener('click', () => {
+    rowEl.remove();
+  });
+
+  return rowEl;
 }
 
-function addFilterValueRow(value = '') {
-  const container = document.getElementById('filter-values-container');
-  if (!container) return;
+// Swaps the operator list when the property's type changes, hides URL-only operators
+// for other text properties and sets a hint matching the operator
+function updateConditionOperatorOptions(propertySelect, operatorSelect, valuesContainer) {
+  const rowEl = propertySelect.closest('.condition-row');
+  const property = propertySelect.value;
+  const type = getPropertyType(property);
+
+  if (rowEl.dataset.type !== type) {
+    rowEl.dataset.type = type;
+    operatorSelect.innerHTML = renderOperatorOptions(type, null);
+    valuesContainer.querySelectorAll('.filter-value-input').forEach(input => {
+      input.value = '';
+    });
+  }
+
+  Array.from(operatorSelect.options).forEach(option => {
+    const operator = option.value.replace(/^!/, '');
+    option.hidden = property !== 'url' && URL_ONLY_OPERATORS.includes(operator);
+  });
+  if (operatorSelect.selectedOptions[0]?.hidden) {
+    operatorSelect.value = 'includes';
+  }
 
+  // Booleans take no value, durations take a single number of hours
+  const valueRows = valuesContainer.querySelectorAll('.filter-value-row');
+  if (type === 'duration') {
+    valueRows.forEach((row, i) => { if (i > 0) row.remove(); });
+  }
+  valuesContainer.classList.toggle('hidden', type === 'boolean');
+  rowEl.querySelector('.condition-add-value-btn').classList.toggle('hidden', type !== 'string');
+
+  const placeholder = OPERATOR_PLACEHOLDERS[operatorSelect.value.replace(/^!/, '')] || 'Value to match';
+  valuesContainer.querySelectorAll('.filter-value-input').forEach(input => {
+    input.type = type === 'duration' ? 'number' : 'text';
+    input.min = type === 'duration' ? '0' : '';
+    input.placeholder = placeholder;
+  });
+}
+
+function addFilterValueRow(container, value = '') {
   const row = document.createElement('div');
   row.className = 'filter-value-row';
   row.innerHTML = `
-    <input type="text" class="form-input filter-value-input" placeholder="Value to match" value="${escapeHtml(value)}">
-    <button type="button" class="filter-value-remove" title="Remove value">
-      <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
-        <path d="M4 4L12 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-        <path d="M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-      </svg>
-    </button>
+    <input type="text" class="form-input filter-value-input" placeholder="Value to match">
+    <button type="button" class="filter-value-remove" title="Remove value">${REMOVE_ICON_SVG}</button>
   `;
+  row.querySelector('.filter-value-input').value = value;
   container.appendChild(row);
 }
 
-function setFilterValues(values) {
-  const container = document.getElementById('filter-values-container');
-  if (!container) return;
+// Reads the builder back into a { op, conditions } tree, dropping empty values
+function getConditionTree(groupEl = document.querySelector('#filter-condition-tree > .condition-group')) {
+  const op = groupEl.querySelector(':scope > .condition-group-header .condition-group-op').value;
+  const conditions = [];
 
-  // Clear existing rows
-  container.innerHTML = '';
+  groupEl.querySelectorAll(':scope > .condition-group-children > *').forEach(childEl => {
+    if (childEl.classList.contains('condition-group')) {
+      conditions.push(getConditionTree(childEl));
+      return;
+    }
 
-  // Ensure we have at least one value
-  const valueList = values && values.length > 0 ? values : [''];
-
-  valueList.forEach(value => {
-    const row = document.createElement('div');
-    row.className = 'filter-value-row';
-    row.innerHTML = `
-      <input type="text" class="form-input filter-value-input" placeholder="Value to match" value="${escapeHtml(value)}">
-      <button type="button" class="filter-value-remove" title="Remove value">
-        <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
-          <path d="M4 4L12 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-          <path d="M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
-        </svg>
-      </button>
-    `;
-    container.appendChild(row);
+    const property = childEl.querySelector('.condition-property').value;
+    const operatorValue = childEl.querySelector('.condition-operator').value;
+    const values = getPropertyType(property) === 'boolean'
+      ? [true]
+      : Array.from(childEl.querySelectorAll('.filter-value-input'))
+        .map(input => input.value.trim())
+        .filter(Boolean);
+
+    const condition = {
+      property,
+      operator: operatorValue.replace(/^!/, ''),
+      values
+    };
+    if (operatorValue.startsWith('!')) condition.negate = true;
+    conditions.push(condition);
   });
+
+  return { op, conditions };
 }
 
-function getFilterValues() {
-  const container = document.getElementById('filter-values-container');
-  if (!container) return [];
+function showConditionError(message) {
+  const errorEl = document.getElementById('filter-condition-error');
+  errorEl.textContent = message || '';
+  errorEl.classList.toggle('hidden', !message);
+}
 
-  const inputs = container.querySelectorAll('.filter-value-input');
-  const values = [];
-  inputs.forEach(input => {
-    const val = input.value.trim();
-    if (val) values.push(val);
+// Outlines the value inputs that failed validation so the error is easy to find
+function highlightInvalidConditionValues() {
+  document.querySelectorAll('#filter-condition-tree .condition-row').forEach(rowEl => {
+    const condition = {
+      property: rowEl.querySelector('.condition-property').value,
+      operator: rowEl.querySelector('.condition-operator').value.replace(/^!/, '')
+    };
+    rowEl.querySelectorAll('.filter-value-input').forEach(input => {
+      const value = input.value.trim();
+      const error = value ? validateConditionValue(condition, value) : null;
+      input.classList.toggle('invalid', !!error);
+      input.title = error || '';
+    });
   });
-  return values;
+}
+
+// Human-readable summary, e.g. url includes "github.com" AND NOT (title includes "Pull request")
+function describeConditionTree(node, isRoot = false) {
+  if (!isConditionGroup(node)) {
+    const values = getConditionValues(node);
+    const type = getPropertyType(node.property);
+    if (type === 'boolean') {
+      const isTrue = parseBooleanValue(values[0] ?? true) !== !!node.negate;
+      return `${isTrue ? '' : 'NOT '}${node.property}`;
+    } else if (type === 'duration') {
+      const comparison = node.operator === 'lessThan' ? '<' : '>';
+      return `${node.negate ? 'NOT ' : ''}${node.property} ${comparison} ${values[0]}h`;
+    }
+    return `${node.negate ? 'NOT ' : ''}${node.property} ${node.operator} ${values.map(v => `"${v}"`).join(', ')}`;
+  }
+
+  if (node.op === 'not') {
+    return `NOT (${node.conditions.map(child => describeConditionTree(child)).join(' OR ')})`;
+  }
+
+  const description = node.conditions
+    .map(child => describeConditionTree(child))
+    .join(node.op === 'or' ? ' OR ' : ' AND ');
+  return isRoot || node.conditions.length === 1 ? description : `(${description})`;
 }
 
 function openAddFilterModal() {
   editingFilterId = null;
   document.getElementById('filter-modal-title').textContent = 'Add Filter';
   document.getElementById('filter-name').value = '';
-  document.getElementById('filter-property').value = 'url';
-  document.getElementById('filter-operator').value = 'includes';
-  setFilterValues(['']);
-  document.getElementById('filter-action').value = 'none';
+  setConditionTree({ op: 'and', conditions: [] });
+  setFilterActions(null);
+  setAutoClosePolicy(null);
+  document.getElementById('filter-suspend-exempt').checked = false;
   document.getElementById('filter-modal').classList.remove('hidden');
 }
 
@@ -729,16 +1315,11 @@ async function openEditFilterModal(filterId) {
 
   document.getElementById('filter-modal-title').textContent = 'Edit Filter';
   document.getElementById('filter-name').value = filter.name;
-  document.getElementById('filter-property').value = filter.property;
-  document.getElementById('filter-operator').value = filter.operator;
-
-  // Support both single value (backwards compatibility) and array of values
-  const values = filter.values && filter.values.length > 0
-    ? filter.values
-    : (filter.value ? [filter.value] : ['']);
-  setFilterValues(values);
+  setConditionTree(getFilterConditionTree(filter));
 
-  document.getElementById('filter-action').value = filter.smartWindowAction;
+  setFilterActions(filter);
+  setAutoClosePolicy(filter.autoClosePolicy);
+  document.getElementById('filter-suspend-exempt').checked = !!filter.suspendExempt;
   document.getElementById('filter-modal').classList.remove('hidden');
 }
 
@@ -749,22 +1330,45 @@ function closeFilterModal() {
 
 async function saveFilter() {
   const name = document.getElementById('filter-name').value.trim();
-  const property = document.getElementById('filter-property').value;
-  const operator = document.getElementById('filter-operator').value;
-  const values = getFilterValues();
-  const smartWindowAction = document.getElementById('filter-action').value;
+  const conditionTree = getConditionTree();
+  const smartWindowAction = getSelectedActions();
+  const groupColor = document.getElementById('filter-group-color').value;
+  const bookmarkFolderId = document.getElementById('filter-bookmark-folder').value;
+  const nicknameTemplate = document.getElementById('filter-nickname-template').value.trim();
+  const autoClosePolicy = getAutoClosePolicy();
+  const suspendExempt = document.getElementById('filter-suspend-exempt').checked;
 
   // Validation
   if (!name) {
     alert('Please enter a filter name');
     return;
   }
-  if (values.length === 0) {
-    alert('Please enter at least one value to match');
+  const conditionError = validateConditionTree(conditionTree);
+  showConditionError(conditionError);
+  if (conditionError) {
+    highlightInvalidConditionValues();
+    return;
+  }
+  if (autoClosePolicy.mode === 'custom' && !(autoClosePolicy.timeLimit > 0)) {
+    alert('Please enter an auto-close time limit greater than 0');
     return;
   }
 
-  const filterData = { name, property, operator, values, smartWindowAction };
+  // Keep the first required condition in the top-level fields for older readers
+  const primaryCondition = getPositiveConditions(conditionTree)[0] || createEmptyCondition();
+  const filterData = {
+    name,
+    property: primaryCondition.property,
+    operator: primaryCondition.operator,
+    values: primaryCondition.values,
+    conditions: toStoredConditions(conditionTree),
+    smartWindowAction,
+    groupColor,
+    bookmarkFolderId,
+    nicknameTemplate,
+    autoClosePolicy,
+    suspendExempt
+  };
 
   try {
     if (editingFilterId) {
@@ -788,6 +1392,512 @@ async function saveFilter() {
   }
 }
 
+// Filter packs: export selected filters, import with a choice for each name collision
+let pendingFilterImport = [];
+
+function initFilterPackUI() {
+  const fileInput = document.getElementById('filter-pack-file-input');
+  const exportModal = document.getElementById('filter-export-modal');
+  const importModal = document.getElementById('filter-import-modal');
+  if (!fileInput || !exportModal || !importModal) return;
+
+  document.getElementById('export-filters-btn')?.addEventListener('click', openExportFiltersModal);
+  document.getElementById('import-filters-btn')?.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', handleFilterPackFile);
+
+  const closeExport = () => exportModal.classList.add('hidden');
+  document.getElementById('filter-export-close')?.addEventListener('click', closeExport);
+  document.getElementById('filter-export-cancel')?.addEventListener('click', closeExport);
+  document.getElementById('filter-export-save')?.addEventListener('click', exportSelectedFilters);
+  exportModal.addEventListener('click', (e) => {
+    if (e.target === exportModal) closeExport();
+  });
+
+  document.getElementById('filter-export-all')?.addEventListener('change', (e) => {
+    document.querySelectorAll('#filter-export-list input[type="checkbox"]').forEach(checkbox => {
+      checkbox.checked = e.target.checked;
+    });
+  });
+
+  const closeImport = () => {
+    importModal.classList.add('hidden');
+    pendingFilterImport = [];
+  };
+  document.getElementById('filter-import-close')?.addEventListener('click', closeImport);
+  document.getElementById('filter-import-cancel')?.addEventListener('click', closeImport);
+  document.getElementById('filter-import-save')?.addEventListener('click', importFilterPack);
+  importModal.addEventListener('click', (e) => {
+    if (e.target === importModal) closeImport();
+  });
+}
+
+async function openExportFiltersModal() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_FILTERS' });
+  if (!response.success || response.filters.length === 0) {
+    alert('There are no filters to export');
+    return;
+  }
+
+  document.getElementById('filter-export-all').checked = true;
+  document.getElementById('filter-export-list').innerHTML = response.filters.map(filter => `
+    <label class="form-checkbox">
+      <input type="checkbox" value="${filter.id}" checked>
+      <span>${escapeHtml(filter.name)}</span>
+    </label>
+  `).join('');
+  document.getElementById('filter-export-modal').classList.remove('hidden');
+}
+
+async function exportSelectedFilters() {
+  const selectedIds = new Set(Array.from(document.querySelectorAll('#filter-export-list input:checked'))
+    .map(checkbox => parseInt(checkbox.value)));
+  if (selectedIds.size === 0) {
+    alert('Please select at least one filter');
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_FILTERS' });
+    const filters = response.filters.filter(filter => selectedIds.has(filter.id));
+    const pack = createFilterPack(filters);
+    downloadFile(JSON.stringify(pack, null, 2), `tabsentry-filters-${formatDate(new Date())}.json`, 'application/json');
+    document.getElementById('filter-export-modal').classList.add('hidden');
+  } catch (e) {
+    console.error('[TabSentry] Failed to export filters:', e);
+    alert('Export failed. Please try again.');
+  }
+}
+
+async function handleFilterPackFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  try {
+    let pack;
+    try {
+      pack = JSON.parse(await file.text());
+    } catch {
+      throw new Error('This file is not valid JSON');
+    }
+    const entries = readFilterPack(pack);
+    if (entries.length === 0) throw new Error('No filters found in this file');
+
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_FILTERS' });
+    const existingByName = new Map(response.filters.map(filter => [filter.name.toLowerCase(), filter]));
+
+    // A name can collide with an existing filter or with an earlier filter in the same pack
+    const seenNames = new Set();
+    pendingFilterImport = entries.map(entry => {
+      const key = entry.name.toLowerCase();
+      const item = {
+        ...entry,
+        existing: existingByName.get(key) || null,
+        duplicateInPack: seenNames.has(key)
+      };
+      seenNames.add(key);
+      return item;
+    });
+
+    renderFilterImportList();
+    document.getElementById('filter-import-modal').classList.remove('hidden');
+  } catch (e) {
+    console.error('[TabSentry] Failed to read filter pack:', e);
+    alert(`Import failed: ${e.message}`);
+  }
+
+  // Reset file input
+  event.target.value = '';
+}
+
+function renderFilterImportList() {
+  const list = document.getElementById('filter-import-list');
+  list.innerHTML = pendingFilterImport.map((item, i) => {
+    let statusHtml;
+    if (item.error) {
+      statusHtml = `<span class="filter-pack-error">${escapeHtml(item.error)}</span>`;
+    } else if (item.existing || item.duplicateInPack) {
+      statusHtml = `
+        <select class="form-select filter-pack-resolution" data-index="${i}">
+          <option value="skip">Skip</option>
+          <option value="rename">Import as copy</option>
+          ${item.existing && !item.duplicateInPack ? '<option value="overwrite">Overwrite existing</option>' : ''}
+        </select>
+      `;
+    } else {
+      statusHtml = '<span class="filter-pack-status">New</span>';
+    }
+
+    return `
+      <div class="filter-pack-item${item.error ? ' invalid' : ''}">
+        <div class="filter-info">
+          <span class="filter-name">${escapeHtml(item.name)}</span>
+          ${item.filter ? `<span class="filter-condition">${escapeHtml(describeConditionTree(getFilterConditionTree(item.filter), true))}</span>` : ''}
+          ${item.existing ? '<span class="filter-pack-status">A filter with this name already exists</span>' : ''}
+          ${!item.existing && item.duplicateInPack ? '<span class="filter-pack-status">Listed more than once in this pack</span>' : ''}
+        </div>
+        ${statusHtml}
+      </div>
+    `;
+  }).join('');
+
+  const importableCount = pendingFilterImport.filter(item => !item.error).length;
+  document.getElementById('filter-import-save').disabled = importableCount === 0;
+}
+
+async function importFilterPack() {
+  const resolutions = new Map(Array.from(document.querySelectorAll('#filter-import-list .filter-pack-resolution'))
+    .map(select => [parseInt(select.dataset.index), select.value]));
+
+  const counts = { added: 0, overwritten: 0, skipped: 0 };
+  // Each existing filter can only be overwritten once, by the first pack filter with its name
+  const overwrittenIds = new Set();
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_ALL_FILTERS' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    const takenNames = new Set(response.filters.map(filter => filter.name.toLowerCase()));
+
+    for (const [i, item] of pendingFilterImport.entries()) {
+      const resolution = resolutions.get(i) || 'add';
+      if (item.error || resolution === 'skip' || (resolution === 'overwrite' && overwrittenIds.has(item.existing.id))) {
+        counts.skipped++;
+        continue;
+      }
+
+      if (resolution === 'overwrite') {
+        // Replace the whole row so options the pack filter doesn't set don't linger
+        const result = await chrome.runtime.sendMessage({ type: 'REPLACE_FILTER', filterId: item.existing.id, filterData: item.filter });
+        if (!result?.success) {
+          throw new Error(result?.error || 'No response from background');
+        }
+        overwrittenIds.add(item.existing.id);
+        counts.overwritten++;
+        continue;
+      }
+
+      const name = resolution === 'rename' ? getUniqueFilterName(item.filter.name, takenNames) : item.filter.name;
+      const result = await chrome.runtime.sendMessage({ type: 'ADD_FILTER', filterData: { ...item.filter, name } });
+      if (!result?.success) {
+        throw new Error(result?.error || 'No response from background');
+      }
+      takenNames.add(name.toLowerCase());
+      counts.added++;
+    }
+  } catch (e) {
+    console.error('[TabSentry] Failed to import filters:', e);
+    alert(`Import failed part way through: ${e.message}. Please check your filters.`);
+  }
+
+  document.getElementById('filter-import-modal').classList.add('hidden');
+  pendingFilterImport = [];
+  await loadFilters();
+  alert(`Imported ${counts.added} new, overwrote ${counts.overwritten}, skipped ${counts.skipped}`);
+}
+
+// Apply filters now
+const APPLY_CHANGE_TEXT = {
+  nickname: () => 'will get a nickname',
+  bookmark: () => 'will be bookmarked',
+  pin: () => 'will be pinned',
+  mute: () => 'will be muted',
+  group: name => `will join the ${name} group`,
+  move: name => `will move to ${name}`,
+  discard: () => 'will be suspended',
+  delete: () => 'will close'
+};
+
+function initApplyFiltersUI() {
+  document.getElementById('apply-filters-preview-btn')?.addEventListener('click', previewApplyFilters);
+  document.getElementById('apply-filters-run-btn')?.addEventListener('click', runApplyFilters);
+  document.getElementById('apply-filters-undo-btn')?.addEventListener('click', undoApplyFilters);
+
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'APPLY_FILTERS_PROGRESS') {
+      const progress = document.getElementById('apply-filters-progress');
+      progress.max = message.total;
+      progress.value = message.done;
+    }
+  });
+
+  refreshApplyFiltersUndo();
+}
+
+async function refreshApplyFiltersUndo() {
+  const batch = await db.getSetting('applyFiltersUndo');
+  document.getElementById('apply-filters-undo-btn')?.classList.toggle('hidden', !(batch?.expiresAt > Date.now()));
+}
+
+function showApplyFiltersSummary(html) {
+  const summary = document.getElementById('apply-filters-summary');
+  summary.innerHTML = html;
+  summary.classList.toggle('hidden', !html);
+}
+
+async function previewApplyFilters() {
+  const runBtn = document.getElementById('apply-filters-run-btn');
+  runBtn.classList.add('hidden');
+
+  const response = await chrome.runtime.sendMessage({ type: 'PREVIEW_APPLY_FILTERS' });
+  if (!response.success) {
+    showApplyFiltersSummary(`<div class="empty-state">Error: ${escapeHtml(response.error || 'Unknown error')}</div>`);
+    return;
+  }
+  if (response.total === 0) {
+    showApplyFiltersSummary('<div class="empty-state">Open tabs already match your filters. Nothing to change.</div>');
+    return;
+  }
+
+  // One line per action and filter, expandable to the tabs it affects
+  const linesHtml = response.changes.map(change => {
+    const count = change.tabs.length;
+    const text = APPLY_CHANGE_TEXT[change.action](change.filterName);
+    const source = ['move', 'group'].includes(change.action) ? '' : ` (${change.filterName})`;
+    return `
+      <details class="apply-filters-change">
+        <summary>${count} ${count === 1 ? 'tab' : 'tabs'} ${escapeHtml(text + source)}</summary>
+        <ul>
+          ${change.tabs.map(tab => `<li title="${escapeHtml(tab.url)}">${escapeHtml(tab.title || tab.url)}</li>`).join('')}
+        </ul>
+      </details>
+    `;
+  }).join('');
+
+  showApplyFiltersSummary(`
+    <div class="apply-filters-total">${response.total} ${response.total === 1 ? 'tab' : 'tabs'} will change:</div>
+    ${linesHtml}
+  `);
+  runBtn.classList.remove('hidden');
+}
+
+async function runApplyFilters() {
+  const runBtn = document.getElementById('apply-filters-run-btn');
+  const previewBtn = document.getElementById('apply-filters-preview-btn');
+  const progress = document.getElementById('apply-filters-progress');
+
+  runBtn.disabled = true;
+  previewBtn.disabled = true;
+  progress.value = 0;
+  progress.classList.remove('hidden');
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'APPLY_FILTERS' });
+    if (response.success) {
+      showApplyFiltersSummary(`<div class="apply-filters-total">Done: ${response.actions} ${response.actions === 1 ? 'change' : 'changes'} across ${response.tabs} ${response.tabs === 1 ? 'tab' : 'tabs'}.</div>`);
+    } else {
+      showApplyFiltersSummary(`<div class="empty-state">Error: ${escapeHtml(response.error || 'Unknown error')}</div>`);
+    }
+  } finally {
+    runBtn.disabled = false;
+    previewBtn.disabled = false;
+    runBtn.classList.add('hidden');
+    progress.classList.add('hidden');
+    await refreshApplyFiltersUndo();
+  }
+}
+
+async function undoApplyFilters() {
+  const response = await chrome.runtime.sendMessage({ type: 'UNDO_APPLY_FILTERS' });
+  if (response.success) {
+    showApplyFiltersSummary(`<div class="apply-filters-total">Reverted ${response.reverted} ${response.reverted === 1 ? 'tab' : 'tabs'}.</div>`);
+  } else {
+    showApplyFiltersSummary(`<div class="empty-state">Error: ${escapeHtml(response.error || 'Unknown error')}</div>`);
+  }
+  await refreshApplyFiltersUndo();
+}
+
+// Schedule
+const SCHEDULE_DAYS = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+let currentSchedule = structuredClone(DEFAULT_SCHEDULE);
+
+async function loadSchedule() {
+  const saved = await db.getSetting('autoCloseSchedule');
+  currentSchedule = {
+    ...structuredClone(DEFAULT_SCHEDULE),
+    ...saved,
+    workHours: { ...DEFAULT_SCHEDULE.workHours, ...saved?.workHours }
+  };
+
+  document.getElementById('schedule-enabled').checked = currentSchedule.enabled;
+  document.getElementById('schedule-work-hours-enabled').checked = currentSchedule.workHours.enabled;
+  document.getElementById('schedule-work-start').value = currentSchedule.workHours.start;
+  document.getElementById('schedule-work-end').value = currentSchedule.workHours.end;
+  setScheduleDays(document.getElementById('schedule-work-days'), currentSchedule.workHours.days);
+
+  renderScheduleBlocks();
+  updateScheduleStatus();
+}
+
+function initScheduleUI() {
+  document.getElementById('schedule-enabled').addEventListener('change', (e) => {
+    currentSchedule.enabled = e.target.checked;
+    saveSchedule();
+  });
+
+  document.getElementById('schedule-work-hours-enabled').addEventListener('change', (e) => {
+    currentSchedule.workHours.enabled = e.target.checked;
+    saveSchedule();
+  });
+
+  document.getElementById('schedule-work-start').addEventListener('change', (e) => {
+    currentSchedule.workHours.start = e.target.value;
+    saveSchedule();
+  });
+
+  document.getElementById('schedule-work-end').addEventListener('change', (e) => {
+    currentSchedule.workHours.end = e.target.value;
+    saveSchedule();
+  });
+
+  const workDays = document.getElementById('schedule-work-days');
+  workDays.addEventListener('change', () => {
+    currentSchedule.workHours.days = getScheduleDays(workDays);
+    saveSchedule();
+  });
+
+  document.getElementById('add-schedule-block-btn').addEventListener('click', () => {
+    currentSchedule.blocks.push({
+      id: Date.now(),
+      label: '',
+      days: [1, 2, 3, 4, 5],
+      start: '12:00',
+      end: '13:00',
+      action: 'pause',
+      timeLimit: 24
+    });
+    renderScheduleBlocks();
+    saveSchedule();
+  });
+}
+
+function renderScheduleBlocks() {
+  const blockList = document.getElementById('schedule-block-list');
+
+  if (currentSchedule.blocks.length === 0) {
+    blockList.innerHTML = '<div class="empty-state">No time blocks</div>';
+    return;
+  }
+
+  blockList.innerHTML = currentSchedule.blocks.map(block => `
+    <div class="schedule-block" data-block-id="${block.id}">
+      <div class="schedule-block-row">
+        <input type="text" class="form-input schedule-block-label" placeholder="Label, e.g. Standup">
+        <button class="filter-delete-btn schedule-block-remove" title="Remove block">
+          <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+            <path d="M4 4L12 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+            <path d="M12 4L4 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/>
+          </svg>
+        </button>
+      </div>
+      <div class="schedule-days">
+        ${SCHEDULE_DAYS.map(([value, name]) => `
+          <label class="schedule-day">
+            <input type="checkbox" value="${value}" ${block.days.includes(value) ? 'checked' : ''}>
+            <span>${name}</span>
+          </label>
+        `).join('')}
+      </div>
+      <div class="schedule-block-row">
+        <div class="schedule-time-range">
+          <input type="time" class="form-input schedule-time schedule-block-start" value="${block.start}">
+          <span class="form-unit">to</span>
+          <input type="time" class="form-input schedule-time schedule-block-end" value="${block.end}">
+        </div>
+        <select class="form-select schedule-block-action">
+          <option value="pause" ${block.action === 'pause' ? 'selected' : ''}>Pause auto-close</option>
+          <option value="limit" ${block.action === 'limit' ? 'selected' : ''}>Use time limit</option>
+        </select>
+        <input type="number" class="number-input schedule-block-limit ${block.action === 'limit' ? '' : 'hidden'}" min="1" max="720" value="${block.timeLimit || 24}">
+        <span class="form-unit schedule-block-limit-unit ${block.action === 'limit' ? '' : 'hidden'}">hours</span>
+      </div>
+    </div>
+  `).join('');
+
+  blockList.querySelectorAll('.schedule-block').forEach(blockEl => {
+    const block = currentSchedule.blocks.find(b => String(b.id) === blockEl.dataset.blockId);
+
+    const labelInput = blockEl.querySelector('.schedule-block-label');
+    labelInput.value = block.label || '';
+    labelInput.addEventListener('change', (e) => {
+      block.label = e.target.value.trim();
+      saveSchedule();
+    });
+
+    blockEl.querySelector('.schedule-days').addEventListener('change', (e) => {
+      block.days = getScheduleDays(e.currentTarget);
+      saveSchedule();
+    });
+
+    blockEl.querySelector('.schedule-block-start').addEventListener('change', (e) => {
+      block.start = e.target.value;
+      saveSchedule();
+    });
+
+    blockEl.querySelector('.schedule-block-end').addEventListener('change', (e) => {
+      block.end = e.target.value;
+      saveSchedule();
+    });
+
+    blockEl.querySelector('.schedule-block-action').addEventListener('change', (e) => {
+      block.action = e.target.value;
+      const showLimit = block.action === 'limit';
+      blockEl.querySelector('.schedule-block-limit').classList.toggle('hidden', !showLimit);
+      blockEl.querySelector('.schedule-block-limit-unit').classList.toggle('hidden', !showLimit);
+      saveSchedule();
+    });
+
+    blockEl.querySelector('.schedule-block-limit').addEventListener('change', (e) => {
+      const timeLimit = parseInt(e.target.value, 10);
+      block.timeLimit = Math.max(1, Math.min(720, isNaN(timeLimit) ? 24 : timeLimit));
+      e.target.value = block.timeLimit;
+      saveSchedule();
+    });
+
+    blockEl.querySelector('.schedule-block-remove').addEventListener('click', () => {
+      currentSchedule.blocks = currentSchedule.blocks.filter(b => b !== block);
+      renderScheduleBlocks();
+      saveSchedule();
+    });
+  });
+}
+
+function getScheduleDays(container) {
+  return Array.from(container.querySelectorAll('input[type="checkbox"]:checked'))
+    .map(checkbox => parseInt(checkbox.value, 10));
+}
+
+function setScheduleDays(container, days) {
+  container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = days.includes(parseInt(checkbox.value, 10));
+  });
+}
+
+async function saveSchedule() {
+  await db.setSetting('autoCloseSchedule', currentSchedule);
+  updateScheduleStatus();
+}
+
+// Show what the schedule means right now, e.g. "Now: paused (Standup)"
+function updateScheduleStatus() {
+  const status = document.getElementById('schedule-status');
+  if (!currentSchedule.enabled) {
+    status.textContent = 'Auto-close runs at any time';
+    return;
+  }
+
+  const state = getScheduleState(currentSchedule);
+  if (!state.accumulate) {
+    status.textContent = `Now: paused (${state.reason})`;
+  } else if (!state.close) {
+    status.textContent = `Now: not closing (${state.reason})`;
+  } else if (state.timeLimit) {
+    status.textContent = `Now: closing after ${state.timeLimit}h (${state.reason})`;
+  } else {
+    status.textContent = 'Now: closing as usual';
+  }
+}
+
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
@@ -0,0 +1,222 @@
+// Session Timeline Page
+import DB from './background/db.js';
+
+const db = new DB();
+const DEFAULT_FAVICON = 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 16 16%22><rect fill=%22%23e5e7eb%22 width=%2216%22 height=%2216%22 rx=%222%22/></svg>';
+
+// State
+let snapshots = [];
+let selectedSnapshot = null;
+
+// Theme handling
+async function initTheme() {
+  try {
+    const savedTheme = await db.getSetting('theme');
+    const theme = savedTheme || 'light';
+    if (theme === 'dark') {
+      document.body.classList.add('dark-mode');
+    } else {
+      document.body.classList.remove('dark-mode');
+    }
+  } catch (e) {
+    console.log('Theme init error:', e);
+  }
+}
+
+// Format a snapshot time, e.g. "Tue, Oct 13, 3:00 PM"
+function formatSnapshotTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+// Value for a datetime-local input, in local time
+function toDateTimeInputValue(timestamp) {
+  const date = new Date(timestamp);
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+  return date.toISOString().slice(0, 16);
+}
+
+// Get favicon URL using MV3 compatible method
+function getFaviconUrl(url) {
+  return `chrome-extension://${chrome.runtime.id}/_favicon/?pageUrl=${encodeURIComponent(url)}&size=16`;
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+async function loadSnapshots() {
+  const response = await chrome.runtime.sendMessage({ type: 'GET_SESSION_SNAPSHOTS' });
+  snapshots = response?.success ? response.snapshots : [];
+
+  const slider = document.getElementById('timeline-slider');
+  slider.max = Math.max(0, snapshots.length - 1);
+  slider.disabled = snapshots.length < 2;
+
+  document.getElementById('timeline-oldest').textContent = snapshots.length > 0 ? formatSnapshotTime(snapshots[0].takenAt) : '';
+  document.getElementById('timeline-newest').textContent = snapshots.length > 1 ? formatSnapshotTime(snapshots[snapshots.length - 1].takenAt) : '';
+}
+
+// Latest snapshot taken at or before a time; the oldest one if the time is earlier than all of them
+function findSnapshotIndexAt(timestamp) {
+  let index = 0;
+  snapshots.forEach((snapshot, i) => {
+    if (snapshot.takenAt <= timestamp) index = i;
+  });
+  return index;
+}
+
+async function selectSnapshot(index) {
+  const windowsEl = document.getElementById('timeline-windows');
+  const restoreAllBtn = document.getElementById('timeline-restore-all-btn');
+
+  if (snapshots.length === 0) {
+    selectedSnapshot = null;
+    windowsEl.innerHTML = '<div class="empty-state">No snapshots yet. They are taken every 15 minutes while tabs change.</div>';
+    restoreAllBtn.disabled = true;
+    return;
+  }
+
+  const snapshot = snapshots[index];
+  selectedSnapshot = snapshot;
+  document.getElementById('timeline-slider').value = index;
+  document.getElementById('timeline-time').value = toDateTimeInputValue(selectedSnapshot.takenAt);
+  document.getElementById('timeline-snapshot-time').textContent = formatSnapshotTime(selectedSnapshot.takenAt);
+  document.getElementById('timeline-snapshot-counts').textContent =
+    `${selectedSnapshot.windowCount} window${selectedSnapshot.windowCount !== 1 ? 's' : ''} · ${selectedSnapshot.tabCount} tab${selectedSnapshot.tabCount !== 1 ? 's' : ''}`;
+
+  const response = await chrome.runtime.sendMessage({ type: 'GET_SESSION_SNAPSHOT', snapshotId: snapshot.id });
+  // Dragging the slider selects again before this one loads; only the latest selection renders
+  if (selectedSnapshot !== snapshot) return;
+  if (!response?.success) {
+    windowsEl.innerHTML = `<div class="empty-state">Error loading snapshot: ${escapeHtml(response?.error || 'Unknown error')}</div>`;
+    restoreAllBtn.disabled = true;
+    return;
+  }
+
+  restoreAllBtn.disabled = response.windows.length === 0;
+  renderWindows(response.windows);
+}
+
+function renderWindows(windows) {
+  const windowsEl = document.getElementById('timeline-windows');
+
+  if (windows.length === 0) {
+    windowsEl.innerHTML = '<div class="empty-state">No windows were open</div>';
+    return;
+  }
+
+  windowsEl.innerHTML = windows.map((window, i) => {
+    const groups = new Map((window.tabGroups || []).map(group => [group.id, group]));
+    const tabsHtml = window.tabs.map(tab => {
+      const group = groups.get(tab.groupId);
+      return `
+        <div class="tab-item">
+          <img class="tab-favicon" src="${getFaviconUrl(tab.url)}" alt="">
+          <div class="tab-info">
+            <span class="tab-title">${escapeHtml(tab.title || 'Untitled')}</span>
+            <span class="tab-url">${escapeHtml(tab.url)}</span>
+          </div>
+          ${tab.pinned ? '<i class="fa-solid fa-thumbtack timeline-pinned-icon" title="Pinned"></i>' : ''}
+          ${group ? `<span class="timeline-group-label timeline-group-${escapeHtml(group.color || 'grey')}">${escapeHtml(group.title || 'Group')}</span>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="timeline-window">
+        <div class="timeline-window-header">
+          <span class="timeline-window-title">${escapeHtml(window.title || `Window ${i + 1}`)}</span>
+          <span class="timeline-window-count">${window.tabs.length} tab${window.tabs.length !== 1 ? 's' : ''}</span>
+          <button class="btn-action timeline-restore-window-btn" data-window-id="${window.id}">
+            <i class="fa-regular fa-arrow-rotate-left"></i>
+            Restore Window
+          </button>
+        </div>
+        ${tabsHtml}
+      </div>
+    `;
+  }).join('');
+
+  // Add favicon error handlers
+  windowsEl.querySelectorAll('.tab-favicon').forEach(img => {
+    img.addEventListener('error', () => { img.src = DEFAULT_FAVICON; }, { once: true });
+  });
+
+  windowsEl.querySelectorAll('.timeline-restore-window-btn').forEach(btn => {
+    btn.addEventListener('click', () => restoreWindow(parseInt(btn.dataset.windowId)));
+  });
+}
+
+async function restoreWindow(windowId) {
+  if (!selectedSnapshot) return;
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'RESTORE_SNAPSHOT_WINDOW',
+    snapshotId: selectedSnapshot.id,
+    windowId
+  });
+  if (!response?.success) {
+    alert(`Failed to restore window: ${response?.error || 'Unknown error'}`);
+  }
+}
+
+async function restoreAllWindows() {
+  if (!selectedSnapshot) return;
+  if (!confirm(`Open all ${selectedSnapshot.windowCount} windows from ${formatSnapshotTime(selectedSnapshot.takenAt)}? Windows that are still open are skipped.`)) {
+    return;
+  }
+
+  const response = await chrome.runtime.sendMessage({ type: 'RESTORE_SNAPSHOT', snapshotId: selectedSnapshot.id });
+  if (!response?.success) {
+    alert(`Failed to restore windows: ${response?.error || 'Unknown error'}`);
+  } else if (response.skipped > 0) {
+    alert(`Opened ${response.count} ${response.count === 1 ? 'window' : 'windows'}. ${response.skipped} ${response.skipped === 1 ? 'was' : 'were'} already open.`);
+  }
+}
+
+// Initialize page
+async function init() {
+  await initTheme();
+
+  // Back button
+  document.getElementById('back-btn').addEventListener('click', () => {
+    window.location.href = 'popup.html';
+  });
+
+  await loadSnapshots();
+  await selectSnapshot(snapshots.length - 1);
+
+  document.getElementById('timeline-slider').addEventListener('input', (e) => {
+    selectSnapshot(parseInt(e.target.value));
+  });
+
+  const jumpToTime = () => {
+    const value = document.getElementById('timeline-time').value;
+    if (!value || snapshots.length === 0) return;
+    selectSnapshot(findSnapshotIndexAt(new Date(value).getTime()));
+  };
+  document.getElementById('timeline-go-btn').addEventListener('click', jumpToTime);
+  document.getElementById('timeline-time').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') jumpToTime();
+  });
+
+  document.getElementById('timeline-snapshot-btn').addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'TAKE_SESSION_SNAPSHOT' });
+    await loadSnapshots();
+    await selectSnapshot(snapshots.length - 1);
+  });
+
+  document.getElementById('timeline-restore-all-btn').addEventListener('click', restoreAllWindows);
+}
+
+// Start
+init();